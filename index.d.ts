@@ -2,9 +2,83 @@
  * Multi-Voice SDK - TypeScript Definitions
  */
 
+import { EventEmitter } from "events";
+
+export interface RetryPolicy {
+  /** Total attempts, including the first call (default: 3) */
+  maxAttempts?: number;
+  /** Delay before the first retry in ms (default: 500) */
+  initialDelayMs?: number;
+  /** Upper bound for a single delay in ms; a longer Retry-After ends the retries (default: 20000) */
+  maxDelayMs?: number;
+  /** Multiplier applied to the delay after each attempt (default: 2) */
+  factor?: number;
+  /** Randomize each delay between zero and its computed value (default: true) */
+  jitter?: boolean;
+  /** Wait as long as the provider's Retry-After header asks (default: true) */
+  respectRetryAfter?: boolean;
+  /** Decide whether to retry (default: the error's retryable flag) */
+  shouldRetry?: (error: VoiceSDKError, attempt: number) => boolean;
+}
+
+/** A retry policy override, a number of attempts, or false to disable retries */
+export type RetryOption = RetryPolicy | number | boolean;
+
+/**
+ * Change the retry policy used by every call that does not pass its own
+ * @param policy - Policy fields to override, or false to disable retries
+ */
+export function setRetryPolicy(policy: RetryPolicy | false): void;
+
+/** A log entry: the message under `msg` and `message`, plus structured fields */
+export interface LogEntry {
+  msg: string;
+  message: string;
+  provider?: string;
+  model?: string;
+  durationMs?: number;
+  file?: string;
+  error?: string;
+  [field: string]: unknown;
+}
+
+/** Any object with some of these methods, e.g. pino, winston or console */
+export interface Logger {
+  debug?(entry: LogEntry): void;
+  info?(entry: LogEntry): void;
+  warn?(entry: LogEntry): void;
+  error?(entry: LogEntry): void;
+}
+
+/**
+ * Install the logger used by every SDK function (the SDK is silent by default)
+ * @param logger - Logger to use, or null to silence logging again
+ */
+export function setLogger(logger: Logger | null): void;
+
+/**
+ * A provider name, or an ordered fallback chain. Each chain entry is a provider
+ * name or an object whose fields override the call's options for that provider;
+ * the next entry is tried only when the previous one fails with a retryable error.
+ */
+export type ProviderOption<Name extends string, Options> =
+  | Name
+  | Array<Name | (Partial<Options> & { provider: Name })>;
+
+/** Audio formats the SDK can produce ("pcm" is raw 16-bit little-endian mono) */
+export type AudioFormatName = "mp3" | "wav" | "ogg" | "opus" | "flac" | "pcm";
+
+export type TTSProviderName =
+  | "gemini"
+  | "deepgram"
+  | "openai"
+  | "groq"
+  | "cartesia"
+  | (string & {});
+
 export interface TTSOptions {
-  /** TTS provider: "gemini", "deepgram", "openai", "groq", or "cartesia" */
-  provider: "gemini" | "deepgram" | "openai" | "groq" | "cartesia";
+  /** TTS provider: "gemini", "deepgram", "openai", "groq", "cartesia", a registered provider, or a fallback chain */
+  provider: ProviderOption<TTSProviderName, Omit<TTSOptions, "provider">>;
   /** API key for the chosen provider */
   apiKey: string;
   /** Text to convert to speech */
@@ -13,25 +87,355 @@ export interface TTSOptions {
   voice: string;
   /** Output file path (default: "output.mp3") */
   outputFile?: string;
+  /** Write to outputFile, or return the audio as a Buffer or Readable (default: "file") */
+  output?: "file" | "buffer" | "stream";
+  /** Audio format, transcoded with ffmpeg when the provider cannot produce it (default: the outputFile extension, else "mp3") */
+  format?: AudioFormatName;
+  /** Output sample rate in Hz (default: the provider's) */
+  sampleRate?: number;
+  /** Output bitrate in bits per second, for lossy formats */
+  bitrate?: number;
   /** Model to use (provider-specific) */
   model?: string;
   /** Additional instructions for speech generation */
   prompt?: string;
+  /** Split text longer than this many characters (default: the provider's input limit) */
+  maxChars?: number;
+  /** Maximum concurrent requests when synthesizing split text (default: 2) */
+  concurrency?: number;
+  /** Retry policy override for this call, a number of attempts, or false to disable retries */
+  retry?: RetryOption;
+  /** Reuse earlier audio: true for the default file cache, file cache options, or a custom store */
+  cache?: boolean | FileCacheOptions | CacheStore;
+  /** Reject voices missing from the provider's bundled catalog before calling it (default: true) */
+  validateVoice?: boolean;
+}
+
+export interface Voice {
+  /** Value to pass as `voice` */
+  id: string;
+  /** Display name */
+  name: string;
+  /** Language code, or "multi" for multilingual voices */
+  language?: string;
+  /** Voice gender, when the provider states it */
+  gender?: "female" | "male" | "neutral";
+  /** Provider the voice belongs to */
+  provider: string;
+  /** Models the voice works with (any model when omitted) */
+  models?: string[];
+}
+
+export interface ListVoicesOptions {
+  /** TTS provider (default: every registered provider) */
+  provider?: TTSProviderName;
+  /** API key used to fetch the live list (Deepgram, Cartesia); the bundled catalog is used without one */
+  apiKey?: string;
+  /** Retry policy override for the live request */
+  retry?: RetryOption;
+}
+
+/**
+ * List voices with normalized fields, live from the provider when possible
+ * and from the bundled catalog otherwise
+ * @param options - Provider and API key
+ */
+export function listVoices(options?: ListVoicesOptions): Promise<Voice[]>;
+
+export interface CacheEntry {
+  /** Synthesized audio, already in the requested format */
+  audio: Buffer;
+  /** Audio format of the entry ("mp3", "wav", ...) */
+  container: string;
+  /** Sample rate in Hz, when known */
+  sampleRate?: number;
+}
+
+/** Storage for cached audio; keys are SHA-256 hex digests */
+export interface CacheStore {
+  /** Look up an entry, resolving undefined on a miss */
+  get(key: string): Promise<CacheEntry | undefined>;
+  /** Store an entry */
+  set(key: string, entry: CacheEntry): Promise<void>;
+}
+
+export interface FileCacheOptions {
+  /** Cache directory (default: a folder in the OS temp directory) */
+  dir?: string;
+  /** Maximum age of an entry in milliseconds */
+  ttlMs?: number;
+  /** Maximum total size of the cached audio; least recently used clips are evicted first */
+  maxBytes?: number;
+}
+
+export interface FileCache extends CacheStore {
+  /** Drop expired entries and evict down to maxBytes */
+  prune(): Promise<void>;
+  /** Delete every entry */
+  clear(): Promise<void>;
+}
+
+/**
+ * Create a cache store that keeps each clip as a file
+ * @param options - Directory, TTL and size limit
+ */
+export function createFileCache(options?: FileCacheOptions): FileCache;
+
+export interface AudioFormat {
+  /** Container of the audio ("mp3", "wav", ...) */
+  container: string;
+  /** Sample rate in Hz, when the provider reports one */
+  sampleRate?: number;
+  /** MIME type matching the container */
+  mimeType: string;
+}
+
+export interface TTSResult<Audio = Buffer | import("stream").Readable> {
+  /** Provider that served the request (useful with fallback chains) */
+  provider: string;
+  /** Whether the audio came from the cache */
+  cached: boolean;
+  /** Path the audio was written to (output: "file") */
+  outputFile?: string;
+  /** The audio itself (output: "buffer" or "stream") */
+  audio?: Audio;
+  /** Format of the generated audio */
+  format: AudioFormat;
+}
+
+/** Audio accepted by the audio utilities: a file path, a Buffer or a readable stream */
+export type AudioInput = string | Buffer | import("stream").Readable;
+
+export interface AudioResult {
+  /** Path the audio was written to, when outputFile was given */
+  outputFile?: string;
+  /** The audio, when no outputFile was given */
+  audio?: Buffer;
+  format: AudioFormat;
+}
+
+export interface AudioInfo {
+  /** Duration in seconds */
+  duration: number;
+  /** Container format, as ffmpeg names it */
+  container?: string;
+  codec?: string;
+  sampleRate?: number;
+  channels?: number;
+  /** Bitrate in bits per second */
+  bitrate?: number;
+  /** Loudness, unless probe() was called with loudness: false */
+  loudness?: {
+    /** Integrated loudness in LUFS */
+    integrated: number;
+    /** True peak in dBTP */
+    truePeak: number;
+    /** Loudness range in LU */
+    range: number;
+    /** Gating threshold in LUFS */
+    threshold: number;
+  };
+}
+
+/**
+ * Describe audio: duration, codec, sample rate, channels and loudness
+ * @param audio - Audio to inspect
+ * @param options - Pass loudness: false to skip the loudness measurement
+ */
+export function probe(
+  audio: AudioInput,
+  options?: { loudness?: boolean }
+): Promise<AudioInfo>;
+
+export interface EncodeOptions {
+  /** Output format (default: the outputFile extension, else "wav") */
+  format?: AudioFormatName;
+  /** Write the result here instead of returning a Buffer */
+  outputFile?: string;
+}
+
+/**
+ * Convert audio to another format
+ */
+export function convert(
+  audio: AudioInput,
+  options?: EncodeOptions & {
+    /** Output sample rate in Hz */
+    sampleRate?: number;
+    /** Output channel count */
+    channels?: number;
+    /** Output bitrate for lossy formats (e.g. 128000 or "128k") */
+    bitrate?: number | string;
+  }
+): Promise<AudioResult>;
+
+/**
+ * Change the sample rate (and optionally the channel count) of audio
+ */
+export function resample(
+  audio: AudioInput,
+  options: EncodeOptions & {
+    /** Target sample rate in Hz */
+    sampleRate: number;
+    /** Target channel count */
+    channels?: number;
+  }
+): Promise<AudioResult>;
+
+/**
+ * Cut the silence from the start and end of audio
+ * @returns The trimmed audio, and where it starts and ends in the input (seconds)
+ */
+export function trimSilence(
+  audio: AudioInput,
+  options?: EncodeOptions & {
+    /** Level below which audio counts as silence, in dB (default: -50) */
+    threshold?: number;
+    /** Shortest silence trimmed, in seconds (default: 0.1) */
+    minSilence?: number;
+    /** Seconds of silence to keep at either end (default: 0) */
+    padding?: number;
+  }
+): Promise<AudioResult & { start: number; end: number }>;
+
+/**
+ * Split audio into its non-silent parts
+ * @returns The parts in order, with where each starts and ends in the input (seconds)
+ */
+export function splitOnSilence(
+  audio: AudioInput,
+  options?: {
+    /** Level below which audio counts as silence, in dB (default: -35) */
+    threshold?: number;
+    /** Shortest pause that splits the audio, in seconds (default: 0.5) */
+    minSilence?: number;
+    /** Seconds of silence kept around each part (default: 0.1) */
+    padding?: number;
+    /** Output format (default: "wav") */
+    format?: AudioFormatName;
+    /** Write each part to segment-001.<format>, ... in this directory instead of returning Buffers */
+    outputDir?: string;
+  }
+): Promise<Array<AudioResult & { start: number; end: number }>>;
+
+/**
+ * Normalize audio to a loudness target with two-pass loudnorm
+ */
+export function normalizeLoudness(
+  audio: AudioInput,
+  options?: EncodeOptions & {
+    /** Integrated loudness target in LUFS (default: -16) */
+    target?: number;
+    /** Maximum true peak in dBTP (default: -1.5) */
+    truePeak?: number;
+    /** Loudness range target in LU (default: 11) */
+    range?: number;
+    /** Output sample rate in Hz (default: 48000) */
+    sampleRate?: number;
+  }
+): Promise<AudioResult>;
+
+export interface MergeClip {
+  /** Input file path */
+  file: string;
+  /** Seconds of silence before the clip */
+  padBefore?: number;
+  /** Seconds of silence after the clip */
+  padAfter?: number;
+  /** Seconds of crossfade into the next clip (overrides MergeOptions.crossfade) */
+  crossfade?: number;
+  /** Gain in dB */
+  gain?: number;
+  /** Seconds trimmed from the start of the clip */
+  trimStart?: number;
+  /** Seconds trimmed from the end of the clip */
+  trimEnd?: number;
 }
 
 export interface MergeOptions {
-  /** Array of input file paths to merge */
-  inputFiles: string[];
+  /** Input file paths to merge in order, or clips with their own padding, crossfade, gain and trimming */
+  inputFiles: Array<string | MergeClip>;
   /** Output file path for the merged audio */
   outputFile: string;
+  /** Crossfade in seconds between adjacent clips (default: 0) */
+  crossfade?: number;
+  /** Loudness normalization: true for ffmpeg's loudnorm defaults, a target in LUFS, loudnorm settings, or false to disable it (default: true) */
+  loudness?:
+    | boolean
+    | number
+    | {
+        /** Integrated loudness target in LUFS */
+        target?: number;
+        /** Maximum true peak in dBTP */
+        truePeak?: number;
+        /** Loudness range target in LU */
+        range?: number;
+      };
+  /** Music or ambience laid under the merged clips, as a file path or settings */
+  bed?: string | MergeBed;
+}
+
+export interface MergeBed {
+  /** Bed file path */
+  file: string;
+  /** Bed gain in dB (default: -12) */
+  volume?: number;
+  /** Duck the bed under speech: true for the defaults, sidechain compressor settings, or false (default: true) */
+  duck?:
+    | boolean
+    | {
+        /** Voice level in dB above which the bed is ducked (default: -30) */
+        threshold?: number;
+        /** Compression ratio (default: 8) */
+        ratio?: number;
+        /** Attack in milliseconds (default: 20) */
+        attack?: number;
+        /** Release in milliseconds (default: 400) */
+        release?: number;
+      };
+  /** Fade-in in seconds (default: 1) */
+  fadeIn?: number;
+  /** Fade-out in seconds (default: 2) */
+  fadeOut?: number;
+  /** Loop a bed shorter than the voice; otherwise it is followed by silence (default: true) */
+  loop?: boolean;
+  /** Seconds of bed before the voice starts (default: 0) */
+  leadIn?: number;
+  /** Seconds of bed after the voice ends (default: 0) */
+  tail?: number;
 }
 
 /**
  * Generate speech from text using various TTS providers
  * @param options - TTS configuration options
- * @returns Promise that resolves when audio generation is complete
+ * @returns Promise that resolves with the audio (or the file it was written to) and its format
+ */
+export function tts(
+  options: TTSOptions & { output: "buffer" }
+): Promise<TTSResult<Buffer> & { audio: Buffer }>;
+export function tts(
+  options: TTSOptions & { output: "stream" }
+): Promise<
+  TTSResult<import("stream").Readable> & { audio: import("stream").Readable }
+>;
+export function tts(options: TTSOptions): Promise<TTSResult>;
+
+export interface TTSStreamOptions
+  extends Omit<TTSOptions, "provider" | "outputFile" | "output"> {
+  /** TTS provider: "gemini", "deepgram", "openai", "groq", "cartesia" or a registered provider (fallback chains are not supported) */
+  provider: TTSProviderName;
+  /** Audio format (default: "mp3") */
+  format?: AudioFormatName;
+  /** Chunk size in bytes when slicing a finished clip (default: 16384) */
+  chunkSize?: number;
+}
+
+/**
+ * Generate speech and yield the audio in chunks as it arrives
+ * @param options - TTS streaming options
+ * @returns Async iterable of audio chunks
  */
-export function tts(options: TTSOptions): Promise<void>;
+export function ttsStream(options: TTSStreamOptions): AsyncGenerator<Buffer>;
 
 /**
  * Merge multiple audio files into a single file
@@ -40,29 +444,135 @@ export function tts(options: TTSOptions): Promise<void>;
  */
 export function merge(options: MergeOptions): Promise<void>;
 
+export interface DialogueTurn {
+  /** Speaker name, a key of the cast */
+  speaker: string;
+  /** Line to speak */
+  text: string;
+  /** Silence after this turn in seconds (overrides the dialogue's pause) */
+  pauseAfter?: number;
+}
+
+export interface CastMember {
+  /** TTS provider for this speaker */
+  provider: TTSOptions["provider"];
+  /** API key for the provider */
+  apiKey: string;
+  /** Voice identifier (provider-specific) */
+  voice: string;
+  /** Model to use (provider-specific) */
+  model?: string;
+  /** Additional instructions for speech generation */
+  prompt?: string;
+}
+
+export interface DialogueOptions {
+  /** Turns in speaking order */
+  script: DialogueTurn[];
+  /** TTS settings per speaker */
+  cast: Record<string, CastMember>;
+  /** Output file path (default: "dialogue.mp3") */
+  outputFile?: string;
+  /** Write to outputFile, or return the audio as a Buffer (default: "file") */
+  output?: "file" | "buffer";
+  /** Silence between turns in seconds (default: 0.5) */
+  pause?: number;
+  /** Maximum turns synthesized at once (default: 2) */
+  concurrency?: number;
+  /** Retry policy override for each turn */
+  retry?: RetryOption;
+}
+
+/**
+ * Render a multi-speaker script into a single audio file
+ * @param options - Dialogue configuration options
+ * @returns Promise that resolves with the audio (or the file it was written to) and its format
+ */
+export function dialogue(
+  options: DialogueOptions & { output: "buffer" }
+): Promise<TTSResult<Buffer> & { audio: Buffer }>;
+export function dialogue(options: DialogueOptions): Promise<TTSResult<Buffer>>;
+
 export interface STTOptions {
-  /** STT provider: "deepgram" or "assemblyai" */
-  provider: "deepgram" | "assemblyai";
+  /** STT provider: "deepgram", "assemblyai", "openai", "groq", a registered provider, or a fallback chain */
+  provider: ProviderOption<
+    "deepgram" | "assemblyai" | "openai" | "groq" | (string & {}),
+    Omit<STTOptions, "provider">
+  >;
   /** API key for the chosen provider */
   apiKey: string;
   /** Path to local audio file or URL of remote audio file to transcribe */
   audioFile: string;
-  /** Output file path for transcription results (default: "transcription.json") */
-  outputFile?: string;
-  /** Model to use (provider-specific, default: "nova-3") */
+  /** Output file path for transcription results (default: "transcription." plus the format's extension), or null to skip saving; stt() rejects when it cannot be written */
+  outputFile?: string | null;
+  /** Output file format (default: the outputFile extension, else "json") */
+  format?: "json" | SubtitleFormat;
+  /** Cue options for SRT/WebVTT output */
+  subtitles?: Omit<SubtitleOptions, "format">;
+  /** Model to use (default: "nova-3" for Deepgram, "slam-1" for AssemblyAI ("universal" for non-English language), "whisper-1" for OpenAI, "whisper-large-v3-turbo" for Groq) */
   model?: string;
   /** Enable smart formatting (default: true) */
   smartFormat?: boolean;
   /** Automatic language detection (default: true) */
   detect_language?: boolean;
+  /** Language of the audio as an ISO-639-1 code, when known */
+  language?: string;
   /** Enable punctuation (default: true) */
   punctuate?: boolean;
-  /** Enable speaker diarization (default: false) */
+  /** Enable speaker diarization (Deepgram, AssemblyAI; default: false) */
   diarize?: boolean;
+  /** Number of speakers in the audio, when known (AssemblyAI; implies diarize) */
+  speakersExpected?: number;
+  /** Names, jargon and other terms to boost recognition of */
+  keyterms?: string[];
+  /** Mask profanity in the transcript (Deepgram, AssemblyAI; default: false) */
+  profanityFilter?: boolean;
+  /** Redact personal information (Deepgram, AssemblyAI): true for the common categories, or the provider's own redaction policies (default: false) */
+  redactPii?: boolean | string[];
   /** Number of audio channels (default: 1) */
   channels?: number;
+  /** Split long local audio into overlapping segments transcribed in parallel and stitched back together */
+  chunking?: boolean | ChunkingOptions;
   /** Return full detailed response instead of just transcript (default: false) */
   fullResponse?: boolean;
+  /** Retry policy override for this call, a number of attempts, or false to disable retries */
+  retry?: RetryOption;
+}
+
+export interface ChunkingOptions {
+  /** Longest segment in seconds; shorter files are transcribed whole (default: 600) */
+  maxDuration?: number;
+  /** Seconds of audio shared by neighbouring segments (default: 2) */
+  overlap?: number;
+  /** Maximum segments transcribed at once (default: 3) */
+  concurrency?: number;
+  /** Level below which audio counts as silence, in dB (default: -35) */
+  silenceThreshold?: number;
+  /** Shortest pause, in seconds, that segments may be cut on (default: 0.4) */
+  minSilence?: number;
+}
+
+export interface UtteranceWord {
+  word: string;
+  /** Start time in seconds */
+  start: number;
+  /** End time in seconds */
+  end: number;
+  confidence?: number;
+  /** Speaker label, when diarization is on */
+  speaker?: string;
+}
+
+export interface Utterance {
+  /** Speaker label ("0", "1", ... for Deepgram, "A", "B", ... for AssemblyAI), when diarization is on */
+  speaker?: string;
+  /** Start time in seconds */
+  start: number;
+  /** End time in seconds */
+  end: number;
+  text: string;
+  confidence?: number;
+  words: UtteranceWord[];
 }
 
 export interface STTResult {
@@ -70,14 +580,10 @@ export interface STTResult {
   transcript: string;
   /** Confidence score (0-1) */
   confidence: number;
-  /** Array of word-level details */
-  words: Array<{
-    word: string;
-    start: number;
-    end: number;
-    confidence: number;
-    punctuated_word: string;
-  }>;
+  /** Word timings, in the same shape for every provider */
+  words: UtteranceWord[];
+  /** Speaker-segmented turns, in the same shape for every provider */
+  utterances: Utterance[];
   /** Full raw result from the provider */
   fullResult: any;
   /** Metadata about the transcription */
@@ -87,6 +593,8 @@ export interface STTResult {
     duration: number;
     channels: number;
     provider: string;
+    /** Number of segments a chunked transcription was split into */
+    segments?: number;
   };
 }
 
@@ -97,8 +605,248 @@ export interface STTResult {
  */
 export function stt(options: STTOptions): Promise<string | STTResult>;
 
+export type SubtitleFormat = "srt" | "vtt";
+
+export interface SubtitleOptions {
+  /** Caption format (default: "srt") */
+  format?: SubtitleFormat;
+  /** Maximum characters per line (default: 42) */
+  maxChars?: number;
+  /** Maximum lines per cue (default: 2) */
+  maxLines?: number;
+  /** Maximum cue duration in seconds (default: 7) */
+  maxDuration?: number;
+  /** Label cues with their speaker when the words carry one (default: true) */
+  speakerLabels?: boolean;
+}
+
+/**
+ * Build SRT or WebVTT captions from an stt() result's word timings
+ * @param transcription - Full result from stt({ fullResponse: true })
+ * @param options - Caption format and cue limits
+ * @returns Caption file contents
+ */
+export function toSubtitles(
+  transcription: Pick<STTResult, "words"> & { transcript?: string },
+  options?: SubtitleOptions
+): string;
+
+export interface STTStreamOptions {
+  /** STT provider: "deepgram", "assemblyai" or a registered provider implementing listen() */
+  provider: "deepgram" | "assemblyai" | (string & {});
+  /** API key for the chosen provider */
+  apiKey: string;
+  /** Audio to send; the session ends when it does. Omit it to push chunks with write() and end() */
+  audio?: import("stream").Readable | AsyncIterable<Buffer>;
+  /** Raw audio encoding (default: "linear16", 16-bit little-endian PCM) */
+  encoding?: "linear16" | "mulaw";
+  /** Sample rate of the audio in Hz (default: 16000) */
+  sampleRate?: number;
+  /** Number of audio channels (Deepgram, default: 1) */
+  channels?: number;
+  /** Model to use (default: "nova-3" for Deepgram, "universal-streaming-english" for AssemblyAI) */
+  model?: string;
+  /** Language of the audio (Deepgram) */
+  language?: string;
+  /** Emit interim results while a phrase is still being spoken (default: true) */
+  interimResults?: boolean;
+  /** Label words and results with speakers (default: false) */
+  diarize?: boolean;
+  /** Silence in milliseconds that ends a phrase */
+  endpointing?: number;
+  /** Gap between words in milliseconds that emits "utteranceEnd" (Deepgram, default: 1000) */
+  utteranceEndMs?: number;
+  /** Enable smart formatting (Deepgram, default: true) */
+  smartFormat?: boolean;
+  /** Retry policy override for opening the connection */
+  retry?: RetryOption;
+}
+
+export interface STTStreamWord {
+  word: string;
+  /** Start time in seconds */
+  start: number;
+  /** End time in seconds */
+  end: number;
+  confidence: number;
+  /** Speaker label, when diarization is on */
+  speaker?: string;
+}
+
+export interface STTStreamTranscript {
+  type: "interim" | "final";
+  provider: string;
+  transcript: string;
+  confidence: number;
+  words: STTStreamWord[];
+  /** Most likely speaker, when diarization is on */
+  speaker?: string;
+  /** Start time in seconds */
+  start?: number;
+  /** End time in seconds */
+  end?: number;
+  /** Whether the provider detected the end of the phrase (endpointing) */
+  endpoint: boolean;
+  /** Message received from the provider */
+  raw: unknown;
+}
+
+export interface STTStreamUtteranceEnd {
+  type: "utteranceEnd";
+  provider: string;
+  /** End of the last word in seconds */
+  end?: number;
+  raw: unknown;
+}
+
+export interface STTStreamSpeechStarted {
+  type: "speechStarted";
+  provider: string;
+  /** Time speech started, in seconds */
+  start: number;
+  raw: unknown;
+}
+
+export type STTStreamEvent =
+  | STTStreamTranscript
+  | STTStreamUtteranceEnd
+  | STTStreamSpeechStarted;
+
+export interface TranscriptionStream
+  extends EventEmitter,
+    AsyncIterable<STTStreamEvent> {
+  provider: string;
+  /** Send a chunk of audio in the session's encoding and sample rate */
+  write(chunk: Buffer): void;
+  /** Stop sending audio and wait for the last results; rejects with a session error no listener or loop received */
+  end(): Promise<void>;
+  on(
+    event: "interim" | "final",
+    listener: (event: STTStreamTranscript) => void
+  ): this;
+  on(
+    event: "utteranceEnd",
+    listener: (event: STTStreamUtteranceEnd) => void
+  ): this;
+  on(
+    event: "speechStarted",
+    listener: (event: STTStreamSpeechStarted) => void
+  ): this;
+  on(event: "error", listener: (error: VoiceSDKError) => void): this;
+  on(event: "close", listener: () => void): this;
+}
+
+/**
+ * Transcribe live audio over the provider's WebSocket API with interim and final results
+ * @param options - Streaming options
+ * @returns Promise that resolves with the open session
+ */
+export function sttStream(
+  options: STTStreamOptions
+): Promise<TranscriptionStream>;
+
+export interface STTBatchOptions
+  extends Omit<STTOptions, "audioFile" | "outputFile" | "format"> {
+  /** Files, URLs, directories (searched recursively for audio) or globs such as "calls/**\/*.wav" */
+  sources: string | string[];
+  /** Directory for the outputs, mirroring the source names (default: "transcripts") */
+  outputDir?: string;
+  /** Output format of each transcription (default: "json") */
+  format?: "json" | SubtitleFormat;
+  /** Maximum requests in flight per provider, or a limit for each provider name (default: 4) */
+  concurrency?: number | Record<string, number>;
+  /** Manifest path (default: manifest.json in outputDir) */
+  manifestFile?: string;
+  /** Skip items already completed in an existing manifest (default: true) */
+  resume?: boolean;
+  /** USD per audio minute by provider, or by provider and model, overriding the built-in list prices */
+  pricing?: Record<string, number | Record<string, number>>;
+  /** Called as each item finishes */
+  onProgress?(
+    item: STTBatchItem,
+    progress: { done: number; total: number }
+  ): void;
+}
+
+export interface STTBatchItem {
+  source: string;
+  outputFile: string;
+  status: "pending" | "completed" | "failed";
+  /** Provider that served (or failed) the item */
+  provider?: string;
+  model?: string;
+  /** Audio duration in seconds */
+  duration?: number | null;
+  /** Estimated cost in USD, null when the price is unknown */
+  cost?: number | null;
+  /** Error message of a failed item */
+  error?: string;
+  /** Error class name of a failed item */
+  errorType?: string;
+  elapsedMs?: number;
+  finishedAt?: string;
+}
+
+export interface STTBatchResult {
+  manifestFile: string;
+  items: STTBatchItem[];
+  summary: {
+    total: number;
+    completed: number;
+    failed: number;
+    pending: number;
+    /** Items completed by an earlier run */
+    skipped: number;
+    /** Total audio duration in seconds */
+    duration: number;
+    /** Total estimated cost in USD */
+    cost: number;
+  };
+}
+
+/**
+ * Transcribe many recordings with a per-provider concurrency limit, writing one
+ * output per source and a manifest that lets a rerun resume where it stopped
+ * @param options - Batch options, plus any stt() option
+ * @returns Promise that resolves with the manifest items and totals
+ */
+export function sttBatch(options: STTBatchOptions): Promise<STTBatchResult>;
+
+export type LLMProviderName = "openai" | "gemini" | (string & {});
+
+/** A JSON Schema object */
+export type JSONSchema = Record<string, any>;
+
+/** A Zod-like schema: anything with `safeParse()` (Zod, Valibot adapters, ...) */
+export interface ZodLikeSchema<T = any> {
+  safeParse(data: unknown):
+    | { success: true; data: T }
+    | {
+        success: false;
+        error: { issues: Array<{ path: PropertyKey[]; message: string }> };
+      };
+  /** Used to send the schema to the provider when present (Zod 4) */
+  toJSONSchema?(): JSONSchema;
+}
+
+export type LLMSchema = JSONSchema | ZodLikeSchema;
+
+export type LLMResponseFormat =
+  | "text"
+  | "json"
+  | {
+      /** Schema the reply must match */
+      schema?: LLMSchema;
+      /** Schema name sent to OpenAI (default: "response") */
+      name?: string;
+      /** Enable OpenAI's strict schema adherence (default: false) */
+      strict?: boolean;
+    };
+
 export interface LLMOptions {
-  /** OpenAI API key */
+  /** LLM provider: "openai", "gemini", a registered provider, or a fallback chain (default: "openai") */
+  provider?: ProviderOption<LLMProviderName, Omit<LLMOptions, "provider">>;
+  /** API key for the selected provider */
   apiKey: string;
   /** Input text/prompt */
   text: string;
@@ -112,10 +860,22 @@ export interface LLMOptions {
   maxTokens?: number;
   /** Whether to stream the response (default: false) */
   stream?: boolean;
+  /** "json" for a JSON reply, or { schema, name, strict } for one matching a schema (default: "text") */
+  responseFormat?: LLMResponseFormat;
+  /** JSON Schema or Zod-like schema the reply must match; resolves with the parsed value */
+  schema?: LLMSchema;
+  /** How many times to send an invalid JSON reply back to the model for correction (default: 0) */
+  repair?: number | boolean;
+  /** Retry policy override for this call, a number of attempts, or false to disable retries */
+  retry?: RetryOption;
+  /** Resolve with { text, provider, model } instead of just the text (default: false) */
+  fullResponse?: boolean;
 }
 
 export interface LLMChatOptions {
-  /** OpenAI API key */
+  /** LLM provider: "openai", "gemini", a registered provider, or a fallback chain (default: "openai") */
+  provider?: ProviderOption<LLMProviderName, Omit<LLMChatOptions, "provider">>;
+  /** API key for the selected provider */
   apiKey: string;
   /** Conversation history */
   messages: Array<{
@@ -130,20 +890,291 @@ export interface LLMChatOptions {
   maxTokens?: number;
   /** Whether to stream the response (default: false) */
   stream?: boolean;
+  /** "json" for a JSON reply, or { schema, name, strict } for one matching a schema (default: "text") */
+  responseFormat?: LLMResponseFormat;
+  /** JSON Schema or Zod-like schema the reply must match; resolves with the parsed value */
+  schema?: LLMSchema;
+  /** How many times to send an invalid JSON reply back to the model for correction (default: 0) */
+  repair?: number | boolean;
+  /** Retry policy override for this call, a number of attempts, or false to disable retries */
+  retry?: RetryOption;
+  /** Resolve with { text, provider, model } instead of just the text (default: false) */
+  fullResponse?: boolean;
+}
+
+export interface LLMResult<T = any> {
+  /** Generated text (when not streaming) */
+  text?: string;
+  /** Parsed and validated reply (with responseFormat or schema) */
+  data?: T;
+  /** Token stream (when stream is true) */
+  stream?: AsyncGenerator;
+  /** Provider that served the request (useful with fallback chains) */
+  provider: string;
+  /** Model that generated the reply */
+  model: string;
 }
 
 /**
  * Generate text using OpenAI's language models
  * @param options - LLM configuration options
- * @returns Promise that resolves with generated text or stream
+ * @returns Promise that resolves with generated text or stream, or the parsed
+ *   reply with a responseFormat or schema
  */
+export function llm<T = any>(
+  options: LLMOptions & { fullResponse: true }
+): Promise<LLMResult<T>>;
+export function llm<T>(
+  options: LLMOptions & { schema: ZodLikeSchema<T> }
+): Promise<T>;
+export function llm(
+  options: LLMOptions &
+    ({ schema: JSONSchema } | { responseFormat: "json" | object })
+): Promise<any>;
 export function llm(options: LLMOptions): Promise<string | AsyncGenerator>;
 
 /**
  * Generate text using OpenAI's language models with conversation history
  * @param options - LLM chat configuration options
- * @returns Promise that resolves with generated text or stream
+ * @returns Promise that resolves with generated text or stream, or the parsed
+ *   reply with a responseFormat or schema
  */
+export function llmChat<T = any>(
+  options: LLMChatOptions & { fullResponse: true }
+): Promise<LLMResult<T>>;
+export function llmChat<T>(
+  options: LLMChatOptions & { schema: ZodLikeSchema<T> }
+): Promise<T>;
+export function llmChat(
+  options: LLMChatOptions &
+    ({ schema: JSONSchema } | { responseFormat: "json" | object })
+): Promise<any>;
 export function llmChat(
   options: LLMChatOptions
 ): Promise<string | AsyncGenerator>;
+
+export interface VoiceAgentMessage {
+  role: "user" | "assistant";
+  content: string;
+}
+
+export interface VoiceAgentTurn {
+  /** What was said (empty when nothing was recognized, in which case no reply is generated) */
+  transcript: string;
+  /** The reply text */
+  reply: string;
+  /** The spoken reply, or null when there was nothing to say */
+  audio: Buffer | null;
+  /** Format of the spoken reply */
+  format: AudioFormat | null;
+  /** Milliseconds spent in each stage, and in the whole turn */
+  timings: { stt?: number; llm?: number; tts?: number; total: number };
+}
+
+export interface VoiceAgentOptions {
+  /** stt() options for transcribing input (outputFile and fullResponse are managed by the agent) */
+  stt: Omit<STTOptions, "audioFile" | "outputFile" | "fullResponse">;
+  /** llmChat() options for replies (messages are managed by the agent) */
+  llm: Omit<LLMChatOptions, "messages" | "stream" | "fullResponse">;
+  /** tts() options for speaking replies (text and output are managed by the agent) */
+  tts: Omit<TTSOptions, "text" | "output" | "outputFile">;
+  /** System message sent ahead of the history on every turn */
+  systemPrompt?: string;
+  /** Conversation to continue from (default: []) */
+  history?: VoiceAgentMessage[];
+  /** Keep only this many recent user/assistant exchanges in the history */
+  maxTurns?: number;
+  hooks?: {
+    /** Sees the transcript; may return replacement text */
+    onTranscript?: (
+      transcript: string
+    ) => string | void | Promise<string | void>;
+    /** Sees the reply before it is spoken; may return replacement text */
+    onReply?: (reply: string) => string | void | Promise<string | void>;
+    /** Sees the finished turn */
+    onTurn?: (turn: VoiceAgentTurn) => void | Promise<void>;
+  };
+}
+
+export interface VoiceAgent {
+  /** Transcribe a file path, URL or Buffer, answer it and speak the answer. Turns run one at a time. */
+  respond(
+    audio: string | Buffer,
+    options?: {
+      /** Container of a Buffer input (default: "wav") */
+      format?: string;
+    }
+  ): Promise<VoiceAgentTurn>;
+  /** Conversation so far, oldest first (without the system prompt) */
+  readonly history: VoiceAgentMessage[];
+  /** Forget the conversation, or replace it with `history` */
+  reset(history?: VoiceAgentMessage[]): void;
+}
+
+/**
+ * Create a voice agent that transcribes each spoken turn, answers it with
+ * llmChat() and the conversation so far, and speaks the answer with tts()
+ * @param options - Agent configuration options
+ */
+export function createVoiceAgent(options: VoiceAgentOptions): VoiceAgent;
+
+export interface TTSAdapter {
+  /** Synthesize speech and resolve with the audio and its container ("mp3", "wav", ...) */
+  synthesize(options: {
+    apiKey: string;
+    text: string;
+    voice: string;
+    model: string;
+    prompt: string;
+    /** Format requested by the caller; return another and tts() transcodes */
+    format: AudioFormatName;
+    sampleRate?: number;
+    bitrate?: number;
+  }): Promise<{
+    audio: Buffer | import("stream").Readable;
+    container: string;
+    sampleRate?: number;
+    bitrate?: number;
+  }>;
+  /** Longest text accepted in one request; tts() splits longer text */
+  maxChars?: number;
+  /** Bundled voice catalog; when present, tts() rejects voices missing from it */
+  voices?: Array<Omit<Voice, "provider" | "name"> & { name?: string }>;
+  /** Voice IDs accepted even when missing from `voices` */
+  voicePattern?: RegExp;
+  /** Fetch the live voice list from the provider */
+  listVoices?(options: {
+    apiKey: string;
+  }): Promise<Array<Omit<Voice, "provider" | "name"> & { name?: string }>>;
+}
+
+export interface STTAdapter {
+  /** Transcribe a local file or URL and resolve with a normalized result */
+  transcribe(
+    options: Omit<STTOptions, "provider" | "outputFile" | "fullResponse">
+  ): Promise<STTResult>;
+  /** Open a live transcription session, reporting normalized events through onEvent */
+  listen?(
+    options: Omit<STTStreamOptions, "provider" | "audio" | "retry"> & {
+      onEvent(
+        event:
+          | Omit<STTStreamEvent, "provider">
+          | { type: "error"; error: unknown }
+          | { type: "close" }
+      ): void;
+    }
+  ): Promise<{ send(chunk: Buffer): void; finish(): Promise<void> }>;
+  /** List prices in USD per audio minute by model, used for sttBatch() cost estimates */
+  pricePerMinute?: Record<string, number>;
+}
+
+export interface LLMAdapterResponseFormat {
+  type: "json";
+  /** JSON Schema the reply should match */
+  schema?: JSONSchema;
+  /** Schema name (OpenAI's json_schema.name) */
+  name: string;
+  /** Ask for strict schema adherence where supported */
+  strict: boolean;
+}
+
+export interface LLMAdapter {
+  /** Model used when the caller does not pass one */
+  defaultModel: string;
+  /** Generate a reply to a conversation */
+  chat(options: {
+    apiKey: string;
+    messages: LLMChatOptions["messages"];
+    model: string;
+    temperature: number;
+    maxTokens?: number;
+    stream: boolean;
+    /** Set when the caller asked for JSON */
+    responseFormat?: LLMAdapterResponseFormat;
+  }): Promise<string | AsyncIterable<any>>;
+  /** Generate a reply to a single prompt (falls back to chat() when omitted) */
+  generate?(options: {
+    apiKey: string;
+    text: string;
+    systemPrompt?: string;
+    model: string;
+    temperature: number;
+    maxTokens?: number;
+    stream: boolean;
+    /** Set when the caller asked for JSON */
+    responseFormat?: LLMAdapterResponseFormat;
+  }): Promise<string | AsyncIterable<any>>;
+}
+
+/** Register (or replace) a TTS provider */
+export function registerTtsProvider(name: string, adapter: TTSAdapter): void;
+/** Register (or replace) an STT provider */
+export function registerSttProvider(name: string, adapter: STTAdapter): void;
+/** Register (or replace) an LLM provider */
+export function registerLlmProvider(name: string, adapter: LLMAdapter): void;
+
+/** Remove a TTS provider, returning whether one was registered */
+export function unregisterTtsProvider(name: string): boolean;
+/** Remove an STT provider, returning whether one was registered */
+export function unregisterSttProvider(name: string): boolean;
+/** Remove an LLM provider, returning whether one was registered */
+export function unregisterLlmProvider(name: string): boolean;
+
+/** Look up a TTS provider (throws if it is not registered) */
+export function getTtsProvider(name: string): TTSAdapter;
+/** Look up an STT provider (throws if it is not registered) */
+export function getSttProvider(name: string): STTAdapter;
+/** Look up an LLM provider (throws if it is not registered) */
+export function getLlmProvider(name: string): LLMAdapter;
+
+/** Names of the registered TTS providers */
+export function listTtsProviders(): string[];
+/** Names of the registered STT providers */
+export function listSttProviders(): string[];
+/** Names of the registered LLM providers */
+export function listLlmProviders(): string[];
+
+export interface VoiceSDKErrorDetails {
+  provider?: string;
+  status?: number;
+  retryable?: boolean;
+  retryAfterMs?: number;
+  cause?: unknown;
+}
+
+/** Base class for every error thrown by the SDK */
+export class VoiceSDKError extends Error {
+  constructor(message: string, details?: VoiceSDKErrorDetails);
+  /** Provider that failed, when the error came from a provider */
+  provider?: string;
+  /** HTTP status returned by the provider */
+  status?: number;
+  /** Whether retrying the same request may succeed */
+  retryable: boolean;
+  /** Delay the provider asked for before retrying (from Retry-After) */
+  retryAfterMs?: number;
+  /** Underlying error */
+  cause?: unknown;
+}
+
+/** The request itself is invalid (missing parameters, bad options, unknown provider) */
+export class InvalidRequestError extends VoiceSDKError {}
+/** The API key was rejected (HTTP 401/403) */
+export class AuthenticationError extends VoiceSDKError {}
+/** The provider is throttling requests (HTTP 429, retryable) */
+export class RateLimitError extends VoiceSDKError {}
+/** The voice does not exist for this provider or model */
+export class InvalidVoiceError extends VoiceSDKError {}
+/** The text or audio exceeds what the provider accepts in one request */
+export class InputTooLongError extends VoiceSDKError {}
+/** The provider is down, overloaded or unreachable (HTTP 5xx, network errors, retryable) */
+export class ProviderUnavailableError extends VoiceSDKError {}
+/** ffmpeg failed to decode, encode or merge audio */
+export class AudioProcessingError extends VoiceSDKError {}
+/** The model's reply is not valid JSON or does not match the requested schema */
+export class StructuredOutputError extends VoiceSDKError {
+  /** The reply that failed to parse or validate */
+  text?: string;
+  /** What was wrong with it, e.g. `$.items[0].price: expected number, got string` */
+  errors: string[];
+}
@@ -1,5 +1,46 @@
 // Import the separated modules
-export { tts } from "./src/tts.js";
-export { stt } from "./src/stt.js";
+export { tts, ttsStream } from "./src/tts.js";
+export { stt, sttStream } from "./src/stt.js";
+export { sttBatch } from "./src/batch.js";
+export { toSubtitles } from "./src/subtitles.js";
 export { merge } from "./src/merge.js";
+export {
+  probe,
+  convert,
+  resample,
+  trimSilence,
+  splitOnSilence,
+  normalizeLoudness,
+} from "./src/audio.js";
+export { dialogue } from "./src/dialogue.js";
+export { setRetryPolicy } from "./src/retry.js";
+export { setLogger } from "./src/logger.js";
+export { createFileCache } from "./src/cache.js";
+export { listVoices } from "./src/voices.js";
 export { llm, llmChat } from "./src/llm.js";
+export { createVoiceAgent } from "./src/agent.js";
+export {
+  registerTtsProvider,
+  registerSttProvider,
+  registerLlmProvider,
+  unregisterTtsProvider,
+  unregisterSttProvider,
+  unregisterLlmProvider,
+  getTtsProvider,
+  getSttProvider,
+  getLlmProvider,
+  listTtsProviders,
+  listSttProviders,
+  listLlmProviders,
+} from "./src/registry.js";
+export {
+  VoiceSDKError,
+  InvalidRequestError,
+  AuthenticationError,
+  RateLimitError,
+  InvalidVoiceError,
+  InputTooLongError,
+  ProviderUnavailableError,
+  AudioProcessingError,
+  StructuredOutputError,
+} from "./src/errors.js";
@@ -0,0 +1,205 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { stt } from "./stt.js";
+import { llmChat } from "./llm.js";
+import { tts } from "./tts.js";
+import { createLimiter } from "./concurrency.js";
+import { InvalidRequestError } from "./errors.js";
+import { log } from "./logger.js";
+
+/**
+ * Run one stage of a turn, recording its duration in `timings` and logging
+ * the stage it failed in
+ */
+async function runStage(stage, timings, fn) {
+  const startedAt = Date.now();
+  try {
+    return await fn();
+  } catch (err) {
+    log.error("Voice agent turn failed", {
+      stage,
+      durationMs: Date.now() - startedAt,
+      error: err.message,
+    });
+    throw err;
+  } finally {
+    timings[stage] = Date.now() - startedAt;
+  }
+}
+
+/**
+ * Transcribe a path, URL or Buffer. Buffers are written to a temporary file
+ * first, since stt() reads from a file or URL.
+ */
+async function transcribe(audio, format, options) {
+  if (typeof audio === "string") {
+    return stt({
+      ...options,
+      audioFile: audio,
+      outputFile: null,
+      fullResponse: false,
+    });
+  }
+
+  const tempDir = await fs.mkdtemp(
+    path.join(os.tmpdir(), "multi-voice-agent-")
+  );
+  try {
+    const audioFile = path.join(tempDir, `input.${format}`);
+    await fs.writeFile(audioFile, audio);
+    return await stt({
+      ...options,
+      audioFile,
+      outputFile: null,
+      fullResponse: false,
+    });
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Create a voice agent that answers spoken input: each turn is transcribed,
+ * answered by a language model with the conversation so far, and the reply is
+ * synthesized. The agent keeps the conversation history, and runs turns one
+ * at a time in call order.
+ * @param {Object} options - Agent configuration options
+ * @param {Object} options.stt - stt() options for transcribing input (provider, apiKey, model, language, ...; provider may be a fallback chain)
+ * @param {Object} options.llm - llmChat() options for replies (provider, apiKey, model, temperature, maxTokens, ...)
+ * @param {Object} options.tts - tts() options for speaking replies (provider, apiKey, voice, model, format, ...)
+ * @param {string} [options.systemPrompt] - System message sent ahead of the history on every turn
+ * @param {Array<{role: "user"|"assistant", content: string}>} [options.history=[]] - Conversation to continue from
+ * @param {number} [options.maxTurns] - Keep only this many recent user/assistant exchanges in the history
+ * @param {Object} [options.hooks] - Called as a turn progresses; each may be async
+ * @param {(transcript: string) => string|void} [options.hooks.onTranscript] - Sees the transcript; may return replacement text
+ * @param {(reply: string) => string|void} [options.hooks.onReply] - Sees the reply before it is spoken; may return replacement text
+ * @param {(turn: Object) => void} [options.hooks.onTurn] - Sees the finished turn, as returned by respond()
+ * @returns {{respond: Function, history: Array<Object>, reset: Function}} The agent
+ */
+export function createVoiceAgent({
+  stt: sttOptions,
+  llm: llmOptions,
+  tts: ttsOptions,
+  systemPrompt,
+  history = [],
+  maxTurns,
+  hooks = {},
+}) {
+  if (!sttOptions || !llmOptions || !ttsOptions) {
+    throw new InvalidRequestError(
+      "Missing required parameters: stt, llm and tts options."
+    );
+  }
+
+  if (!Array.isArray(history)) {
+    throw new InvalidRequestError("history must be an array of messages.");
+  }
+
+  if (maxTurns !== undefined && !(maxTurns > 0)) {
+    throw new InvalidRequestError("maxTurns must be positive.");
+  }
+
+  let messages = [...history];
+  // Turns share the history, so each one waits for the previous to finish
+  const queue = createLimiter(1);
+
+  const remember = (...entries) => {
+    messages.push(...entries);
+    if (maxTurns && messages.length > maxTurns * 2) {
+      messages = messages.slice(-maxTurns * 2);
+    }
+  };
+
+  const runTurn = async (audio, { format = "wav" }) => {
+    const startedAt = Date.now();
+    const timings = {};
+
+    let transcript = await runStage("stt", timings, () =>
+      transcribe(audio, format, sttOptions)
+    );
+    transcript = String(
+      (await hooks.onTranscript?.(transcript)) ?? transcript ?? ""
+    ).trim();
+
+    const turn = { transcript, reply: "", audio: null, format: null, timings };
+
+    // Nothing was said, so there is nothing to answer
+    if (transcript) {
+      const userMessage = { role: "user", content: transcript };
+      const reply = await runStage("llm", timings, () =>
+        llmChat({
+          ...llmOptions,
+          messages: [
+            ...(systemPrompt
+              ? [{ role: "system", content: systemPrompt }]
+              : []),
+            ...messages,
+            userMessage,
+          ],
+          stream: false,
+          fullResponse: false,
+        })
+      );
+      turn.reply = String((await hooks.onReply?.(reply)) ?? reply).trim();
+
+      if (turn.reply) {
+        const speech = await runStage("tts", timings, () =>
+          tts({ ...ttsOptions, text: turn.reply, output: "buffer" })
+        );
+        turn.audio = speech.audio;
+        turn.format = speech.format;
+      }
+
+      remember(userMessage, { role: "assistant", content: turn.reply });
+    }
+
+    timings.total = Date.now() - startedAt;
+    log.info("Voice agent turn completed", {
+      transcribed: Boolean(transcript),
+      sttMs: timings.stt,
+      llmMs: timings.llm,
+      ttsMs: timings.tts,
+      durationMs: timings.total,
+    });
+
+    await hooks.onTurn?.(turn);
+    return turn;
+  };
+
+  return {
+    /**
+     * Answer one spoken turn
+     * @param {string|Buffer} audio - Local file path, HTTP URL or audio Buffer
+     * @param {Object} [options] - Turn options
+     * @param {string} [options.format="wav"] - Container of a Buffer input, e.g. "wav", "mp3" or "webm"
+     * @returns {Promise<{transcript: string, reply: string, audio: Buffer|null, format: Object|null, timings: Object}>}
+     *   Promise that resolves with the transcript, the reply and its audio, and
+     *   per-stage timings in milliseconds (`stt`, `llm`, `tts`, `total`)
+     */
+    respond(audio, options = {}) {
+      if (!audio || !(typeof audio === "string" || Buffer.isBuffer(audio))) {
+        return Promise.reject(
+          new InvalidRequestError(
+            "audio must be a file path, HTTP URL or Buffer."
+          )
+        );
+      }
+      return queue(() => runTurn(audio, options));
+    },
+
+    /**
+     * Conversation so far, oldest first (without the system prompt)
+     */
+    get history() {
+      return messages.map((message) => ({ ...message }));
+    },
+
+    /**
+     * Forget the conversation, or replace it with `history`
+     */
+    reset(history = []) {
+      messages = [...history];
+    },
+  };
+}
@@ -0,0 +1,490 @@
+import fs from "fs";
+import path from "path";
+import { Readable, PassThrough } from "stream";
+import { ffmpeg } from "./ffmpeg.js";
+import {
+  encoderOptions,
+  describeFormat,
+  formatFromExtension,
+  assertFormat,
+} from "./formats.js";
+import { AudioProcessingError, InvalidRequestError } from "./errors.js";
+import { log } from "./logger.js";
+
+/**
+ * Audio utilities built on the bundled ffmpeg. Every function takes a file
+ * path, a Buffer or a readable stream, and either writes `outputFile` or
+ * resolves with the audio as a Buffer.
+ */
+
+/**
+ * Check that `audio` is something ffmpeg can read
+ */
+function assertAudio(audio) {
+  if (typeof audio === "string") {
+    if (!fs.existsSync(audio)) {
+      throw new InvalidRequestError(`Audio file not found: ${audio}`);
+    }
+    return;
+  }
+  if (!Buffer.isBuffer(audio) && typeof audio?.pipe !== "function") {
+    throw new InvalidRequestError(
+      "audio must be a file path, a Buffer or a readable stream."
+    );
+  }
+}
+
+/**
+ * Buffers and streams are fed to ffmpeg through stdin
+ */
+function inputOf(audio) {
+  return Buffer.isBuffer(audio) ? Readable.from([audio]) : audio;
+}
+
+/**
+ * A stream can only be read once; functions that read their input twice
+ * keep it in memory first
+ */
+async function replayable(audio) {
+  if (typeof audio === "string" || Buffer.isBuffer(audio)) return audio;
+
+  const chunks = [];
+  for await (const chunk of audio) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Decode `audio` through `filters` without writing anything, resolving with
+ * ffmpeg's log
+ */
+function analyze(audio, filters, action) {
+  return new Promise((resolve, reject) => {
+    const lines = [];
+    ffmpeg(inputOf(audio))
+      .audioFilters(filters)
+      .outputOptions(["-f", "null"])
+      .output("-")
+      .on("stderr", (line) => lines.push(line))
+      .on("error", (err) =>
+        reject(
+          new AudioProcessingError(`Failed to ${action}: ${err.message}`, {
+            cause: err,
+          })
+        )
+      )
+      .on("end", () => resolve(lines))
+      .run();
+  });
+}
+
+/**
+ * Encode `audio` through `filters` into `outputFile`, or into a Buffer
+ * @returns {Promise<{outputFile?: string, audio?: Buffer, format: {container: string, sampleRate?: number, mimeType: string}}>}
+ */
+function encode(
+  audio,
+  { filters = [], format, sampleRate, channels, bitrate, outputFile, action }
+) {
+  const container = format || formatFromExtension(outputFile) || "wav";
+  assertFormat(container);
+
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputOf(audio))
+      .audioFilters(filters)
+      .outputOptions([
+        ...encoderOptions(container, { sampleRate, bitrate }),
+        ...(channels ? ["-ac", String(channels)] : []),
+      ]);
+
+    const fail = (err) =>
+      reject(
+        new AudioProcessingError(`Failed to ${action}: ${err.message}`, {
+          cause: err,
+        })
+      );
+    const result = { format: describeFormat(container, sampleRate) };
+
+    if (outputFile) {
+      command
+        .on("error", fail)
+        .on("end", () => resolve({ ...result, outputFile }))
+        .save(outputFile);
+      return;
+    }
+
+    const chunks = [];
+    const output = new PassThrough();
+    output.on("data", (chunk) => chunks.push(chunk));
+    command
+      .on("error", fail)
+      .on("end", () => resolve({ ...result, audio: Buffer.concat(chunks) }))
+      .pipe(output, { end: true });
+  });
+}
+
+/**
+ * Parse "HH:MM:SS.ss" into seconds
+ */
+function parseTimestamp(value) {
+  const [hours, minutes, seconds] = value.split(":").map(Number);
+  return hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * Loudness measured by loudnorm, printed as JSON at the end of ffmpeg's log
+ */
+function parseLoudness(lines) {
+  const text = lines.join("\n");
+  const json = text.slice(text.lastIndexOf("{"), text.lastIndexOf("}") + 1);
+  try {
+    return JSON.parse(json);
+  } catch {
+    throw new AudioProcessingError("Failed to measure loudness.");
+  }
+}
+
+// Channel counts of the layouts ffmpeg names instead of counting
+const CHANNEL_LAYOUTS = {
+  mono: 1,
+  stereo: 2,
+  2.1: 3,
+  quad: 4,
+  "4.0": 4,
+  "5.0": 5,
+  5.1: 6,
+  6.1: 7,
+  7.1: 8,
+};
+
+/**
+ * Describe an audio file, Buffer or stream
+ * @param {string|Buffer|Readable} audio - Audio to inspect
+ * @param {Object} [options] - Probe options
+ * @param {boolean} [options.loudness=true] - Also measure loudness, which decodes the whole input
+ * @returns {Promise<{duration: number, container?: string, codec?: string, sampleRate?: number, channels?: number, bitrate?: number,
+ *   loudness?: {integrated: number, truePeak: number, range: number, threshold: number}}>}
+ *   Duration in seconds, bitrate in bits per second, loudness in LUFS / dBTP / LU
+ */
+export async function probe(audio, { loudness = true } = {}) {
+  assertAudio(audio);
+
+  // Piped input has no duration in its header, so it is always decoded
+  const lines = await analyze(
+    audio,
+    loudness ? ["loudnorm=print_format=json"] : [],
+    "probe audio"
+  );
+
+  const info = {};
+  for (const line of lines) {
+    const input = /^Input #0, ([^,]+)/.exec(line);
+    if (input) info.container = input[1];
+
+    const header = /Duration: (\d+:\d+:[\d.]+).*?bitrate: (\d+) kb\/s/.exec(
+      line
+    );
+    if (header) {
+      info.duration = parseTimestamp(header[1]);
+      info.bitrate = Number(header[2]) * 1000;
+    }
+
+    const stream =
+      /Stream #0:\d+.*?: Audio: (\w+)[^,]*, (\d+) Hz, ([^,]+)/.exec(line);
+    if (stream && info.codec === undefined) {
+      info.codec = stream[1];
+      info.sampleRate = Number(stream[2]);
+      const layout = stream[3].trim().split("(")[0];
+      info.channels =
+        CHANNEL_LAYOUTS[layout] ??
+        (Number.parseInt(/(\d+) channels/.exec(layout)?.[1]) || undefined);
+    }
+
+    // The decoded length, used when the header has none
+    const progress = /time=(\d+:\d+:[\d.]+)/.exec(line);
+    if (progress && !info.duration) {
+      info.decoded = parseTimestamp(progress[1]);
+    }
+  }
+
+  if (info.codec === undefined) {
+    throw new AudioProcessingError("No audio stream found.");
+  }
+
+  const { decoded, ...result } = info;
+  result.duration ??= decoded;
+
+  if (loudness) {
+    const measured = parseLoudness(lines);
+    result.loudness = {
+      integrated: Number(measured.input_i),
+      truePeak: Number(measured.input_tp),
+      range: Number(measured.input_lra),
+      threshold: Number(measured.input_thresh),
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Find the silent stretches of `audio` and its length in one decoding pass
+ * @param {string|Buffer|Readable} audio - Audio to scan
+ * @param {Object} options - Detection options
+ * @param {number} options.threshold - Level below which audio counts as silence, in dB
+ * @param {number} options.minSilence - Shortest silence reported, in seconds
+ * @returns {Promise<{duration: number, silences: Array<{start: number, end: number}>}>}
+ */
+export async function detectSilences(audio, { threshold, minSilence }) {
+  const lines = await analyze(
+    audio,
+    [`silencedetect=noise=${threshold}dB:d=${minSilence}`],
+    "detect silence"
+  );
+
+  let header;
+  let decoded;
+  const silences = [];
+  for (const line of lines) {
+    // The decoded length beats the header's estimate (VBR MP3s drift)
+    const total = /Duration: (\d+:\d+:[\d.]+)/.exec(line);
+    if (total) header = parseTimestamp(total[1]);
+    const progress = /time=(\d+:\d+:[\d.]+)/.exec(line);
+    if (progress) decoded = parseTimestamp(progress[1]);
+
+    const start = /silence_start: (-?[\d.]+)/.exec(line);
+    if (start) silences.push({ start: Math.max(0, Number(start[1])) });
+
+    const end = /silence_end: ([\d.]+)/.exec(line);
+    if (end && silences.length) {
+      silences[silences.length - 1].end = Number(end[1]);
+    }
+  }
+
+  const duration = decoded || header;
+  if (!(duration > 0)) {
+    throw new AudioProcessingError("Could not determine the audio duration.");
+  }
+
+  // A silence running to the end of the audio has no silence_end line
+  return {
+    duration,
+    silences: silences.map((silence) => ({
+      start: silence.start,
+      end: Math.min(silence.end ?? duration, duration),
+    })),
+  };
+}
+
+/**
+ * Convert audio to another format
+ * @param {string|Buffer|Readable} audio - Audio to convert
+ * @param {Object} options - Conversion options
+ * @param {string} [options.format] - Target format ("mp3", "wav", "ogg", "opus", "flac", "pcm"; defaults to the outputFile extension, else "wav")
+ * @param {number} [options.sampleRate] - Output sample rate in Hz
+ * @param {number} [options.channels] - Output channel count
+ * @param {number|string} [options.bitrate] - Output bitrate for lossy formats (e.g. 128000 or "128k")
+ * @param {string} [options.outputFile] - Write the result here instead of returning a Buffer
+ * @returns {Promise<{outputFile?: string, audio?: Buffer, format: {container: string, sampleRate?: number, mimeType: string}}>}
+ */
+export async function convert(
+  audio,
+  { format, sampleRate, channels, bitrate, outputFile } = {}
+) {
+  assertAudio(audio);
+  return encode(audio, {
+    format,
+    sampleRate,
+    channels,
+    bitrate,
+    outputFile,
+    action: "convert audio",
+  });
+}
+
+/**
+ * Change the sample rate (and optionally the channel count) of audio, e.g.
+ * to 16 kHz mono before stt()
+ * @param {string|Buffer|Readable} audio - Audio to resample
+ * @param {Object} options - Resampling options
+ * @param {number} options.sampleRate - Target sample rate in Hz
+ * @param {number} [options.channels] - Target channel count
+ * @param {string} [options.format] - Output format (defaults to the outputFile extension, else "wav")
+ * @param {string} [options.outputFile] - Write the result here instead of returning a Buffer
+ * @returns {Promise<{outputFile?: string, audio?: Buffer, format: {container: string, sampleRate?: number, mimeType: string}}>}
+ */
+export async function resample(
+  audio,
+  { sampleRate, channels, format, outputFile } = {}
+) {
+  assertAudio(audio);
+  if (!(sampleRate > 0)) {
+    throw new InvalidRequestError("Missing required parameter: sampleRate");
+  }
+
+  return encode(audio, {
+    format,
+    sampleRate,
+    channels,
+    outputFile,
+    action: "resample audio",
+  });
+}
+
+/**
+ * Cut the silence from the start and end of audio
+ * @param {string|Buffer|Readable} audio - Audio to trim
+ * @param {Object} [options] - Trimming options
+ * @param {number} [options.threshold=-50] - Level below which audio counts as silence, in dB
+ * @param {number} [options.minSilence=0.1] - Shortest silence trimmed, in seconds
+ * @param {number} [options.padding=0] - Seconds of silence to keep at either end
+ * @param {string} [options.format] - Output format (defaults to the outputFile extension, else "wav")
+ * @param {string} [options.outputFile] - Write the result here instead of returning a Buffer
+ * @returns {Promise<{outputFile?: string, audio?: Buffer, format: {container: string, sampleRate?: number, mimeType: string}, start: number, end: number}>}
+ *   The trimmed audio, and where it starts and ends in the input (seconds)
+ */
+export async function trimSilence(
+  audio,
+  { threshold = -50, minSilence = 0.1, padding = 0, format, outputFile } = {}
+) {
+  assertAudio(audio);
+  const source = await replayable(audio);
+  const { duration, silences } = await detectSilences(source, {
+    threshold,
+    minSilence,
+  });
+
+  const leading = silences.find((silence) => silence.start === 0);
+  // Timestamps are printed to the hundredth, so allow for rounding
+  const trailing = silences.find(
+    (silence) => silence !== leading && silence.end >= duration - 0.01
+  );
+  const start = Math.max(0, (leading?.end ?? 0) - padding);
+  const end = Math.min(duration, (trailing?.start ?? duration) + padding);
+
+  if (end <= start) {
+    throw new AudioProcessingError("The audio is entirely silent.");
+  }
+
+  const result = await encode(source, {
+    filters: [`atrim=start=${start}:end=${end}`, "asetpts=PTS-STARTPTS"],
+    format,
+    outputFile,
+    action: "trim silence",
+  });
+  return { ...result, start, end };
+}
+
+/**
+ * Split audio into its non-silent parts
+ * @param {string|Buffer|Readable} audio - Audio to split
+ * @param {Object} [options] - Splitting options
+ * @param {number} [options.threshold=-35] - Level below which audio counts as silence, in dB
+ * @param {number} [options.minSilence=0.5] - Shortest pause that splits the audio, in seconds
+ * @param {number} [options.padding=0.1] - Seconds of silence kept around each part
+ * @param {string} [options.format] - Output format (defaults to "wav")
+ * @param {string} [options.outputDir] - Write each part to `segment-001.<format>`, ... in this directory instead of returning Buffers
+ * @returns {Promise<Array<{start: number, end: number, outputFile?: string, audio?: Buffer, format: {container: string, sampleRate?: number, mimeType: string}}>>}
+ *   The parts in order, with where each starts and ends in the input (seconds)
+ */
+export async function splitOnSilence(
+  audio,
+  {
+    threshold = -35,
+    minSilence = 0.5,
+    padding = 0.1,
+    format = "wav",
+    outputDir,
+  } = {}
+) {
+  assertAudio(audio);
+  const source = await replayable(audio);
+  const { duration, silences } = await detectSilences(source, {
+    threshold,
+    minSilence,
+  });
+
+  const parts = [];
+  let start = 0;
+  for (const silence of [...silences, { start: duration, end: duration }]) {
+    if (silence.start > start) {
+      parts.push({
+        start: Math.max(0, start - padding),
+        end: Math.min(duration, silence.start + padding),
+      });
+    }
+    start = silence.end;
+  }
+
+  if (outputDir) await fs.promises.mkdir(outputDir, { recursive: true });
+  log.debug("Splitting audio on silence", { parts: parts.length });
+
+  const results = [];
+  for (const [index, part] of parts.entries()) {
+    const result = await encode(source, {
+      filters: [
+        `atrim=start=${part.start}:end=${part.end}`,
+        "asetpts=PTS-STARTPTS",
+      ],
+      format,
+      outputFile:
+        outputDir &&
+        path.join(
+          outputDir,
+          `segment-${String(index + 1).padStart(3, "0")}.${format}`
+        ),
+      action: "split audio",
+    });
+    results.push({ ...part, ...result });
+  }
+  return results;
+}
+
+/**
+ * Normalize audio to a loudness target with two-pass loudnorm: the first pass
+ * measures the input, the second applies a linear gain where it can
+ * @param {string|Buffer|Readable} audio - Audio to normalize
+ * @param {Object} [options] - Normalization options
+ * @param {number} [options.target=-16] - Integrated loudness target in LUFS
+ * @param {number} [options.truePeak=-1.5] - Maximum true peak in dBTP
+ * @param {number} [options.range=11] - Loudness range target in LU
+ * @param {string} [options.format] - Output format (defaults to the outputFile extension, else "wav")
+ * @param {number} [options.sampleRate] - Output sample rate in Hz (loudnorm works at 192 kHz, so set one for compact output)
+ * @param {string} [options.outputFile] - Write the result here instead of returning a Buffer
+ * @returns {Promise<{outputFile?: string, audio?: Buffer, format: {container: string, sampleRate?: number, mimeType: string}}>}
+ */
+export async function normalizeLoudness(
+  audio,
+  {
+    target = -16,
+    truePeak = -1.5,
+    range = 11,
+    format,
+    sampleRate = 48000,
+    outputFile,
+  } = {}
+) {
+  assertAudio(audio);
+  const source = await replayable(audio);
+  const settings = `I=${target}:TP=${truePeak}:LRA=${range}`;
+
+  const measured = parseLoudness(
+    await analyze(
+      source,
+      [`loudnorm=${settings}:print_format=json`],
+      "measure loudness"
+    )
+  );
+
+  return encode(source, {
+    filters: [
+      `loudnorm=${settings}` +
+        `:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}` +
+        `:measured_LRA=${measured.input_lra}:measured_thresh=${measured.input_thresh}` +
+        `:offset=${measured.target_offset}:linear=true`,
+    ],
+    format,
+    sampleRate,
+    outputFile,
+    action: "normalize loudness",
+  });
+}
@@ -0,0 +1,414 @@
+import fs from "fs/promises";
+import path from "path";
+import { transcribeAudio, saveTranscription } from "./stt.js";
+import { getSttProvider } from "./registry.js";
+import { withFallback } from "./fallback.js";
+import { createLimiter } from "./concurrency.js";
+import { InvalidRequestError } from "./errors.js";
+import { log } from "./logger.js";
+import { SUBTITLE_FORMATS } from "./subtitles.js";
+
+// Files picked up when a source is a directory
+const AUDIO_EXTENSIONS = new Set([
+  "aac",
+  "amr",
+  "flac",
+  "m4a",
+  "mkv",
+  "mov",
+  "mp3",
+  "mp4",
+  "mpeg",
+  "mpga",
+  "oga",
+  "ogg",
+  "opus",
+  "wav",
+  "webm",
+  "wma",
+]);
+
+const DEFAULT_CONCURRENCY = 4;
+
+const isUrl = (source) => /^https?:\/\//i.test(source);
+const isGlob = (source) => /[*?[{]/.test(source);
+const toPosix = (file) => file.split(path.sep).join("/");
+
+/**
+ * Translate a glob (`*`, `**`, `?`, `[...]`, `{a,b}`) into a regular
+ * expression matched against "/"-separated relative paths
+ */
+function globToRegExp(pattern) {
+  let source = "";
+  let braces = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      const slash = pattern[i + 2] === "/";
+      source += slash ? "(?:.*/)?" : ".*";
+      i += slash ? 2 : 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[") {
+      const end = pattern.indexOf("]", i + 1);
+      if (end === -1) {
+        source += "\\[";
+      } else {
+        source += `[${pattern.slice(i + 1, end).replace(/^!/, "^")}]`;
+        i = end;
+      }
+    } else if (char === "{") {
+      braces++;
+      source += "(?:";
+    } else if (char === "}" && braces > 0) {
+      braces--;
+      source += ")";
+    } else if (char === "," && braces > 0) {
+      source += "|";
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, "\\$&");
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Every file below `dir`, as paths relative to it
+ */
+async function listFiles(dir) {
+  const entries = await fs.readdir(dir, { recursive: true });
+  const files = [];
+  for (const entry of entries) {
+    const stats = await fs.stat(path.join(dir, entry)).catch(() => undefined);
+    if (stats?.isFile()) files.push(entry);
+  }
+  return files.sort();
+}
+
+/**
+ * Expand one source into `{ source, name }` entries, where `name` is the
+ * path the output is named after (relative to a directory or glob base)
+ */
+async function expandSource(source) {
+  if (isUrl(source)) {
+    const name = path.posix.basename(new URL(source).pathname) || "audio";
+    return [{ source, name }];
+  }
+
+  if (isGlob(source)) {
+    const segments = toPosix(source).split("/");
+    const literal = segments.findIndex((segment) => isGlob(segment));
+    const base = segments.slice(0, literal).join("/") || ".";
+    const matcher = globToRegExp(segments.slice(literal).join("/"));
+
+    const files = await listFiles(base).catch(() => []);
+    return files
+      .map(toPosix)
+      .filter((file) => matcher.test(file))
+      .map((file) => ({ source: path.join(base, file), name: file }));
+  }
+
+  const stats = await fs.stat(source).catch(() => undefined);
+  if (stats?.isDirectory()) {
+    const files = await listFiles(source);
+    return files
+      .filter((file) =>
+        AUDIO_EXTENSIONS.has(path.extname(file).slice(1).toLowerCase())
+      )
+      .map((file) => ({
+        source: path.join(source, file),
+        name: toPosix(file),
+      }));
+  }
+
+  // A missing file is reported on its manifest entry rather than failing the batch
+  return [{ source, name: path.basename(source) }];
+}
+
+/**
+ * Resolve `sources` into items with one output file each. Outputs mirror the
+ * source names, with a numeric suffix when two sources share a name.
+ */
+async function resolveItems(sources, outputDir, format) {
+  const items = [];
+  const seen = new Set();
+  const outputs = new Set();
+
+  for (const source of Array.isArray(sources) ? sources : [sources]) {
+    if (typeof source !== "string" || !source) {
+      throw new InvalidRequestError(
+        "sources must be a file, URL, directory or glob, or a list of them."
+      );
+    }
+
+    for (const entry of await expandSource(source)) {
+      if (seen.has(entry.source)) continue;
+      seen.add(entry.source);
+
+      const parsed = path.posix.parse(entry.name);
+      const stem = path.posix.join(parsed.dir, parsed.name);
+      let outputFile = path.join(outputDir, `${stem}.${format}`);
+      for (let n = 2; outputs.has(outputFile); n++) {
+        outputFile = path.join(outputDir, `${stem}-${n}.${format}`);
+      }
+      outputs.add(outputFile);
+
+      items.push({ source: entry.source, outputFile });
+    }
+  }
+
+  return items;
+}
+
+/**
+ * USD cost of transcribing `duration` seconds, from the `pricing` option or
+ * the adapter's list prices. Null when the price is unknown.
+ */
+function estimateCost({ provider, model, duration, pricing }) {
+  if (!Number.isFinite(duration)) return null;
+
+  let prices = pricing?.[provider];
+  if (prices === undefined) {
+    try {
+      prices = getSttProvider(provider).pricePerMinute;
+    } catch {
+      return null;
+    }
+  }
+
+  const price = typeof prices === "number" ? prices : prices?.[model];
+  return typeof price === "number"
+    ? Math.round((duration / 60) * price * 1e6) / 1e6
+    : null;
+}
+
+async function readManifest(manifestFile) {
+  try {
+    const manifest = JSON.parse(await fs.readFile(manifestFile, "utf8"));
+    return new Map(manifest.items.map((item) => [item.source, item]));
+  } catch {
+    return new Map();
+  }
+}
+
+async function fileExists(file) {
+  return fs
+    .access(file)
+    .then(() => true)
+    .catch(() => false);
+}
+
+function summarize(items) {
+  const count = (status) =>
+    items.filter((item) => item.status === status).length;
+  const total = (field) =>
+    Math.round(items.reduce((sum, item) => sum + (item[field] || 0), 0) * 1e6) /
+    1e6;
+
+  return {
+    total: items.length,
+    completed: count("completed"),
+    failed: count("failed"),
+    pending: count("pending"),
+    duration: total("duration"),
+    cost: total("cost"),
+  };
+}
+
+/**
+ * Transcribe many recordings into `outputDir`, one output per source, with at
+ * most `concurrency` requests in flight per provider. Progress is recorded in
+ * a manifest after every item; rerunning the batch skips items the manifest
+ * lists as completed, so a crashed job resumes where it stopped.
+ * @param {Object} options - Batch options, plus any stt() option (provider, apiKey, model, language, diarize, ...)
+ * @param {string|string[]} options.sources - Files, URLs, directories (searched recursively for audio) or globs such as "calls/**\/*.wav"
+ * @param {string} [options.outputDir="transcripts"] - Directory for the outputs, mirroring the source names
+ * @param {"json"|"srt"|"vtt"} [options.format="json"] - Output format of each transcription
+ * @param {number|Object<string, number>} [options.concurrency=4] - Maximum requests in flight per provider, or a limit for each provider name
+ * @param {string} [options.manifestFile] - Manifest path (defaults to manifest.json in outputDir)
+ * @param {boolean} [options.resume=true] - Skip items already completed in an existing manifest
+ * @param {Object<string, number|Object<string, number>>} [options.pricing] - USD per audio minute by provider, or by provider and model,
+ *   overriding the built-in list prices used for cost estimates
+ * @param {(item: Object, progress: {done: number, total: number}) => void} [options.onProgress] - Called as each item finishes
+ * @returns {Promise<{manifestFile: string, items: Array<Object>, summary: Object}>} Promise that resolves with the manifest's
+ *   items (`{ source, outputFile, status, provider, model, duration, cost, error }`) and totals once every item has finished
+ */
+export async function sttBatch({
+  sources,
+  outputDir = "transcripts",
+  format = "json",
+  concurrency = DEFAULT_CONCURRENCY,
+  manifestFile = path.join(outputDir, "manifest.json"),
+  resume = true,
+  pricing,
+  onProgress,
+  subtitles,
+  fullResponse = false,
+  ...options
+}) {
+  if (!sources || (Array.isArray(sources) && sources.length === 0)) {
+    throw new InvalidRequestError("Missing required parameter: sources");
+  }
+
+  if (!options.provider) {
+    throw new InvalidRequestError("Missing required parameter: provider");
+  }
+
+  if (format !== "json" && !SUBTITLE_FORMATS.includes(format)) {
+    throw new InvalidRequestError(
+      `Unsupported output format "${format}". Expected "json", "srt" or "vtt".`
+    );
+  }
+
+  const resolved = await resolveItems(sources, outputDir, format);
+  if (resolved.length === 0) {
+    throw new InvalidRequestError(`No audio files found in ${sources}`);
+  }
+
+  const previous = resume ? await readManifest(manifestFile) : new Map();
+  const items = [];
+  const todo = [];
+  for (const { source, outputFile } of resolved) {
+    const done = previous.get(source);
+    if (
+      done?.status === "completed" &&
+      done.outputFile === outputFile &&
+      (await fileExists(outputFile))
+    ) {
+      items.push(done);
+    } else {
+      const item = { source, outputFile, status: "pending" };
+      items.push(item);
+      todo.push(item);
+    }
+  }
+
+  const skipped = items.length - todo.length;
+  await fs.mkdir(path.dirname(manifestFile), { recursive: true });
+
+  // Saves are coalesced: a save requested while one is queued rides along with it
+  let saving = Promise.resolve();
+  let saveQueued = false;
+  const saveManifest = () => {
+    if (saveQueued) return saving;
+    saveQueued = true;
+    saving = saving
+      .catch(() => {})
+      .then(async () => {
+        saveQueued = false;
+        const temp = `${manifestFile}.${process.pid}.tmp`;
+        await fs.writeFile(
+          temp,
+          JSON.stringify(
+            {
+              updatedAt: new Date().toISOString(),
+              summary: summarize(items),
+              items,
+            },
+            null,
+            2
+          )
+        );
+        await fs.rename(temp, manifestFile);
+      });
+    return saving;
+  };
+
+  log.info("Batch transcription started", {
+    total: items.length,
+    skipped,
+  });
+  await saveManifest();
+
+  const limiters = new Map();
+  const limiterFor = (provider) => {
+    if (!limiters.has(provider)) {
+      const limit =
+        typeof concurrency === "number"
+          ? concurrency
+          : concurrency?.[provider] ?? DEFAULT_CONCURRENCY;
+      limiters.set(provider, createLimiter(limit));
+    }
+    return limiters.get(provider);
+  };
+
+  const startedAt = Date.now();
+  let done = skipped;
+
+  await Promise.all(
+    todo.map(async (item) => {
+      const itemStartedAt = Date.now();
+      try {
+        const result = await withFallback(
+          { ...options, audioFile: item.source },
+          (candidate) =>
+            limiterFor(candidate.provider)(() =>
+              transcribeAudio({
+                ...candidate,
+                outputFile: null,
+                format,
+                fullResponse: true,
+              })
+            )
+        );
+
+        await fs.mkdir(path.dirname(item.outputFile), { recursive: true });
+        await saveTranscription(result, {
+          outputFile: item.outputFile,
+          format,
+          subtitles,
+          fullResponse,
+        });
+
+        const { provider, model, duration } = result.metadata;
+        Object.assign(item, {
+          status: "completed",
+          provider,
+          model,
+          duration: duration ?? null,
+          cost: estimateCost({ provider, model, duration, pricing }),
+        });
+      } catch (err) {
+        Object.assign(item, {
+          status: "failed",
+          provider: err.provider,
+          error: err.message,
+          errorType: err.name,
+        });
+      }
+      item.elapsedMs = Date.now() - itemStartedAt;
+      item.finishedAt = new Date().toISOString();
+
+      done++;
+      try {
+        onProgress?.(item, { done, total: items.length });
+      } catch (err) {
+        log.error("Batch onProgress callback failed", {
+          source: item.source,
+          error: err.message,
+        });
+      }
+      saveManifest().catch((err) =>
+        log.warn("Failed to save batch manifest", {
+          file: manifestFile,
+          error: err.message,
+        })
+      );
+    })
+  );
+
+  await saveManifest();
+
+  const summary = summarize(items);
+  log.info("Batch transcription completed", {
+    ...summary,
+    skipped,
+    durationMs: Date.now() - startedAt,
+  });
+
+  return { manifestFile, items, summary: { ...summary, skipped } };
+}
@@ -0,0 +1,212 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { createHash } from "crypto";
+import { log } from "./logger.js";
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {Buffer} audio - Synthesized audio, already in the requested format
+ * @property {string} container - Audio format of `audio`
+ * @property {number} [sampleRate] - Sample rate in Hz, when known
+ */
+
+/**
+ * @typedef {Object} CacheStore
+ * @property {(key: string) => Promise<CacheEntry|undefined>} get - Look up an entry, resolving undefined on a miss
+ * @property {(key: string, entry: CacheEntry) => Promise<void>} set - Store an entry
+ */
+
+const DEFAULT_CACHE_DIR = path.join(os.tmpdir(), "multi-voice-sdk-cache");
+
+let defaultStore;
+
+/**
+ * Create a cache store that keeps each clip as a file in `dir`. Entries older
+ * than `ttlMs` are dropped, and once the audio exceeds `maxBytes` the least
+ * recently used clips are evicted.
+ * @param {Object} [options] - Store options
+ * @param {string} [options.dir] - Cache directory (defaults to a folder in the OS temp directory)
+ * @param {number} [options.ttlMs] - Maximum age of an entry in milliseconds
+ * @param {number} [options.maxBytes] - Maximum total size of the cached audio
+ * @returns {CacheStore & {prune: () => Promise<void>, clear: () => Promise<void>}}
+ */
+export function createFileCache({
+  dir = DEFAULT_CACHE_DIR,
+  ttlMs,
+  maxBytes,
+} = {}) {
+  // <key>.json records the format and is written once, so its mtime is the
+  // entry's age; <key>.audio is touched on every hit, so its mtime is the last use
+  const metaPath = (key) => path.join(dir, `${key}.json`);
+  const audioPath = (key) => path.join(dir, `${key}.audio`);
+  const isExpired = (stats) =>
+    ttlMs !== undefined && Date.now() - stats.mtimeMs > ttlMs;
+
+  async function remove(key) {
+    await fs.rm(metaPath(key), { force: true });
+    await fs.rm(audioPath(key), { force: true });
+  }
+
+  // Write beside the target and rename, so readers never see a partial file
+  async function writeAtomic(file, data) {
+    const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(temp, data);
+    await fs.rename(temp, file);
+  }
+
+  return {
+    async get(key) {
+      let meta, stats;
+      try {
+        stats = await fs.stat(metaPath(key));
+        meta = JSON.parse(await fs.readFile(metaPath(key), "utf8"));
+      } catch {
+        return undefined;
+      }
+
+      if (isExpired(stats)) {
+        await remove(key);
+        return undefined;
+      }
+
+      let audio;
+      try {
+        audio = await fs.readFile(audioPath(key));
+      } catch {
+        return undefined;
+      }
+
+      const now = new Date();
+      await fs.utimes(audioPath(key), now, now).catch(() => {});
+
+      return { audio, container: meta.container, sampleRate: meta.sampleRate };
+    },
+
+    async set(key, { audio, container, sampleRate }) {
+      await fs.mkdir(dir, { recursive: true });
+      await writeAtomic(audioPath(key), audio);
+      await writeAtomic(
+        metaPath(key),
+        JSON.stringify({ container, sampleRate })
+      );
+
+      if (ttlMs !== undefined || maxBytes !== undefined) {
+        await this.prune();
+      }
+    },
+
+    /**
+     * Drop expired entries, then evict the least recently used ones until
+     * the cache fits in maxBytes
+     */
+    async prune() {
+      let files;
+      try {
+        files = await fs.readdir(dir);
+      } catch {
+        return;
+      }
+
+      const entries = [];
+      for (const file of files) {
+        if (!file.endsWith(".json")) continue;
+        const key = file.slice(0, -".json".length);
+        try {
+          const [meta, audio] = await Promise.all([
+            fs.stat(metaPath(key)),
+            fs.stat(audioPath(key)),
+          ]);
+          if (isExpired(meta)) {
+            await remove(key);
+          } else {
+            entries.push({ key, size: audio.size, usedAt: audio.mtimeMs });
+          }
+        } catch {
+          // Removed by another process, or still being written
+        }
+      }
+
+      if (maxBytes === undefined) return;
+
+      let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+      entries.sort((a, b) => a.usedAt - b.usedAt);
+      for (const entry of entries) {
+        if (total <= maxBytes) break;
+        await remove(entry.key);
+        total -= entry.size;
+      }
+    },
+
+    async clear() {
+      await fs.rm(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * Resolve the `cache` option of tts() into a store
+ * @param {boolean|Object|CacheStore} [cache] - true for the default file cache,
+ *   createFileCache() options, or a store with get() and set()
+ * @returns {CacheStore|undefined}
+ */
+export function resolveCache(cache) {
+  if (!cache) return undefined;
+  if (cache === true) return (defaultStore ??= createFileCache());
+  if (typeof cache.get === "function" && typeof cache.set === "function") {
+    return cache;
+  }
+  return createFileCache(cache);
+}
+
+/**
+ * Hash everything that changes the synthesized audio into a cache key
+ */
+export function cacheKey({
+  provider,
+  model,
+  voice,
+  prompt,
+  text,
+  format,
+  sampleRate,
+  bitrate,
+}) {
+  return createHash("sha256")
+    .update(
+      JSON.stringify([
+        provider,
+        model || "",
+        voice,
+        prompt || "",
+        text,
+        format,
+        sampleRate ?? null,
+        bitrate ?? null,
+      ])
+    )
+    .digest("hex");
+}
+
+/**
+ * Read from a store, treating a failing store as a miss
+ */
+export async function readCache(store, key) {
+  try {
+    return await store.get(key);
+  } catch (err) {
+    log.warn("Cache read failed", { key, error: err.message });
+    return undefined;
+  }
+}
+
+/**
+ * Write to a store; a failing store never fails the synthesis
+ */
+export async function writeCache(store, key, entry) {
+  try {
+    await store.set(key, entry);
+  } catch (err) {
+    log.warn("Cache write failed", { key, error: err.message });
+  }
+}
@@ -0,0 +1,274 @@
+import fs from "fs/promises";
+import { existsSync } from "fs";
+import os from "os";
+import path from "path";
+import { ffmpeg } from "./ffmpeg.js";
+import { detectSilences } from "./audio.js";
+import { encoderOptions } from "./formats.js";
+import { mapWithConcurrency } from "./concurrency.js";
+import { AudioProcessingError, InvalidRequestError } from "./errors.js";
+import { log } from "./logger.js";
+import { normalizeWords } from "./transcript.js";
+
+const DEFAULT_CHUNKING = {
+  maxDuration: 600,
+  overlap: 2,
+  concurrency: 3,
+  silenceThreshold: -35,
+  minSilence: 0.4,
+};
+
+// Cuts are searched for in the last part of each window, so segments stay
+// close to maxDuration instead of breaking at the first pause
+const SEARCH_FRACTION = 0.25;
+
+/**
+ * Resolve the `chunking` option of stt() into settings, or undefined when off
+ * @param {boolean|Object} [chunking] - true for the defaults, or overrides
+ * @returns {{maxDuration: number, overlap: number, concurrency: number, silenceThreshold: number, minSilence: number}|undefined}
+ */
+export function resolveChunking(chunking) {
+  if (!chunking) return undefined;
+
+  const settings = {
+    ...DEFAULT_CHUNKING,
+    ...(chunking === true ? {} : chunking),
+  };
+
+  if (!(settings.maxDuration > 0)) {
+    throw new InvalidRequestError("chunking.maxDuration must be positive.");
+  }
+  if (
+    !(settings.overlap >= 0) ||
+    settings.overlap >= settings.maxDuration / 2
+  ) {
+    throw new InvalidRequestError(
+      "chunking.overlap must be between 0 and half of maxDuration."
+    );
+  }
+
+  return settings;
+}
+
+/**
+ * Choose cut points at most `maxDuration` apart, preferring the middle of the
+ * longest silence near the end of each window, and pad every segment with
+ * `overlap` seconds on both sides so no word is lost on a hard cut.
+ * @returns {Array<{start: number, end: number, keepFrom: number, keepUntil: number}>}
+ *   Segment bounds, and the part of each segment whose words are kept
+ */
+export function planSegments(duration, silences, { maxDuration, overlap }) {
+  const cuts = [0];
+
+  while (duration - cuts[cuts.length - 1] > maxDuration) {
+    const from = cuts[cuts.length - 1];
+    const limit = from + maxDuration;
+    const searchFrom = limit - maxDuration * SEARCH_FRACTION;
+
+    let best;
+    for (const silence of silences) {
+      const start = Math.max(silence.start, searchFrom);
+      const end = Math.min(silence.end, limit);
+      if (end > start && (!best || end - start > best.end - best.start)) {
+        best = { start, end };
+      }
+    }
+
+    cuts.push(best ? (best.start + best.end) / 2 : limit);
+  }
+  cuts.push(duration);
+
+  return cuts.slice(0, -1).map((cut, index) => ({
+    start: Math.max(0, cut - overlap),
+    end: Math.min(duration, cuts[index + 1] + overlap),
+    keepFrom: cut,
+    keepUntil: cuts[index + 1],
+  }));
+}
+
+/**
+ * Cut one segment out of `file` as 16 kHz FLAC
+ */
+function extractSegment(file, segment, outputFile) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(file)
+      .seekInput(segment.start)
+      .duration(segment.end - segment.start)
+      .outputOptions(encoderOptions("flac", { sampleRate: 16000 }))
+      .on("error", (err) =>
+        reject(
+          new AudioProcessingError(
+            `Failed to extract audio segment: ${err.message}`,
+            { cause: err }
+          )
+        )
+      )
+      .on("end", () => resolve(outputFile))
+      .save(outputFile);
+  });
+}
+
+/**
+ * Shift normalized words by `offset` seconds
+ */
+function offsetWords(words, offset) {
+  return words.map((word) => ({
+    ...word,
+    start: word.start + offset,
+    end: word.end + offset,
+  }));
+}
+
+/**
+ * Move a segment's utterances to their place in the whole file, keeping only
+ * the words `keep` accepts. An utterance that loses words to the overlap is
+ * shortened to the words it keeps.
+ */
+function placeUtterances(utterances = [], offset, keep) {
+  return utterances.flatMap((utterance) => {
+    const words = offsetWords(normalizeWords(utterance.words), offset);
+    const start = utterance.start + offset;
+    const end = utterance.end + offset;
+
+    if (words.length === 0) {
+      return keep({ start, end }) ? [{ ...utterance, start, end }] : [];
+    }
+
+    const kept = words.filter(keep);
+    if (kept.length === 0) return [];
+    if (kept.length === words.length) {
+      return [{ ...utterance, start, end, words }];
+    }
+    return [
+      {
+        ...utterance,
+        start: kept[0].start,
+        end: kept[kept.length - 1].end,
+        text: kept.map((word) => word.word).join(" "),
+        words: kept,
+      },
+    ];
+  });
+}
+
+/**
+ * Join per-segment results into one. Word and utterance times are shifted by
+ * the segment's start, and words in the overlap are taken from one segment
+ * only: whichever the word's midpoint falls in the kept part of.
+ */
+function stitchResults(segments, duration) {
+  const words = [];
+  const utterances = [];
+  const texts = [];
+  let scored = 0;
+  let confidence = 0;
+
+  for (const [index, { segment, result }] of segments.entries()) {
+    const first = index === 0;
+    const last = index === segments.length - 1;
+    const keep = (word) => {
+      const middle = (word.start + word.end) / 2;
+      return (
+        (first || middle >= segment.keepFrom) &&
+        (last || middle < segment.keepUntil)
+      );
+    };
+    const kept = offsetWords(
+      normalizeWords(result.words),
+      segment.start
+    ).filter(keep);
+
+    if (kept.length) {
+      words.push(...kept);
+      texts.push(kept.map((word) => word.word).join(" "));
+    } else if (!result.words?.length && result.transcript) {
+      // Without word timings the overlap cannot be trimmed
+      texts.push(result.transcript);
+    }
+    utterances.push(...placeUtterances(result.utterances, segment.start, keep));
+
+    const length = segment.keepUntil - segment.keepFrom;
+    if (result.confidence) {
+      confidence += result.confidence * length;
+      scored += length;
+    }
+  }
+
+  return {
+    transcript: texts.join(" "),
+    confidence: scored ? confidence / scored : 0,
+    words,
+    utterances,
+    fullResult: {
+      segments: segments.map(({ segment, result }) => ({
+        start: segment.start,
+        end: segment.end,
+        result: result.fullResult,
+      })),
+    },
+    metadata: {
+      ...segments[0].result.metadata,
+      duration,
+      segments: segments.length,
+    },
+  };
+}
+
+/**
+ * Transcribe a long local file in overlapping segments, split on silence
+ * where possible, and stitch the results back into one. Files no longer than
+ * `maxDuration` are transcribed whole.
+ * @param {Object} options - Chunking options
+ * @param {string} options.audioFile - Local audio file
+ * @param {Object} options.chunking - Settings from resolveChunking()
+ * @param {(audioFile: string) => Promise<Object>} options.transcribe - Transcribes one file with the adapter
+ * @param {string} [options.provider] - Provider name, for logging
+ * @returns {Promise<Object>} A normalized transcription result
+ */
+export async function transcribeInChunks({
+  audioFile,
+  chunking,
+  transcribe,
+  provider,
+}) {
+  if (!existsSync(audioFile)) {
+    throw new InvalidRequestError(`Audio file not found: ${audioFile}`);
+  }
+
+  const { duration, silences } = await detectSilences(audioFile, {
+    threshold: chunking.silenceThreshold,
+    minSilence: chunking.minSilence,
+  });
+  if (duration <= chunking.maxDuration) {
+    return transcribe(audioFile);
+  }
+
+  const segments = planSegments(duration, silences, chunking);
+  log.debug("Transcribing audio in segments", {
+    provider,
+    file: audioFile,
+    duration,
+    segments: segments.length,
+  });
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "multi-voice-stt-"));
+  try {
+    const results = await mapWithConcurrency(
+      segments,
+      chunking.concurrency,
+      async (segment, index) => {
+        const segmentFile = await extractSegment(
+          audioFile,
+          segment,
+          path.join(tempDir, `segment-${index}.flac`)
+        );
+        const result = await transcribe(segmentFile);
+        await fs.rm(segmentFile, { force: true });
+        return { segment, result };
+      }
+    );
+    return stitchResults(results, duration);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
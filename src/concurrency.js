@@ -0,0 +1,66 @@
+/**
+ * Map over items with at most `limit` calls in flight, preserving order
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {(item: any, index: number) => Promise<any>} fn - Async mapper
+ * @returns {Promise<Array>} Results in the same order as `items`
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  async function worker() {
+    // Stop picking up new items once any call has failed
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (err) {
+        failed = true;
+        throw err;
+      }
+    }
+  }
+
+  const workers = Array.from(
+    { length: Math.max(1, Math.min(limit, items.length)) },
+    worker
+  );
+  // Let in-flight calls settle before reporting a failure
+  const outcomes = await Promise.allSettled(workers);
+  const failure = outcomes.find((outcome) => outcome.status === "rejected");
+  if (failure) throw failure.reason;
+
+  return results;
+}
+
+/**
+ * Create a limiter that runs at most `limit` async calls at once, queueing
+ * the rest in call order
+ * @param {number} limit - Maximum concurrent calls
+ * @returns {<T>(fn: () => Promise<T>) => Promise<T>} Runs `fn` once a slot is free
+ */
+export function createLimiter(limit) {
+  const queue = [];
+  let active = 0;
+
+  function next() {
+    if (active >= Math.max(1, limit) || queue.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  }
+
+  return (fn) =>
+    new Promise((resolve, reject) => {
+      queue.push({ fn, resolve, reject });
+      next();
+    });
+}
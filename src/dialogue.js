@@ -0,0 +1,133 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { tts } from "./tts.js";
+import { merge, createSilence } from "./merge.js";
+import { mapWithConcurrency } from "./concurrency.js";
+import { describeFormat, formatFromExtension } from "./formats.js";
+import { InvalidRequestError } from "./errors.js";
+import { log } from "./logger.js";
+
+/**
+ * Render a multi-speaker script (dialogue, podcast, radio play) into a single
+ * audio file, giving each speaker their own provider and voice
+ * @param {Object} options - Dialogue configuration options
+ * @param {Array<{speaker: string, text: string, pauseAfter?: number}>} options.script - Turns in speaking order
+ * @param {Object<string, {provider: string, apiKey: string, voice: string, model?: string, prompt?: string}>} options.cast - TTS settings per speaker
+ * @param {string} [options.outputFile="dialogue.mp3"] - Output file path
+ * @param {"file"|"buffer"} [options.output="file"] - Write to outputFile, or return the audio as a Buffer
+ * @param {number} [options.pause=0.5] - Silence between turns in seconds (a turn's pauseAfter overrides it)
+ * @param {number} [options.concurrency=2] - Maximum turns synthesized at once
+ * @param {Object|number|boolean} [options.retry] - Retry policy override for each turn (see setRetryPolicy)
+ * @returns {Promise<{outputFile?: string, audio?: Buffer, format: {container: string, sampleRate?: number, mimeType: string}}>}
+ *   Promise that resolves with the written file or the audio, and its format
+ */
+export async function dialogue({
+  script,
+  cast,
+  outputFile = "dialogue.mp3",
+  output = "file",
+  pause = 0.5,
+  concurrency = 2,
+  retry,
+}) {
+  if (!Array.isArray(script) || script.length === 0) {
+    throw new InvalidRequestError(
+      "script must be a non-empty array of { speaker, text } turns."
+    );
+  }
+
+  if (!cast || typeof cast !== "object") {
+    throw new InvalidRequestError("cast parameter is required.");
+  }
+
+  if (!["file", "buffer"].includes(output)) {
+    throw new InvalidRequestError(
+      `Invalid output "${output}". Expected "file" or "buffer".`
+    );
+  }
+
+  script.forEach((turn, index) => {
+    if (!turn?.text) {
+      throw new InvalidRequestError(`Turn ${index + 1} has no text.`);
+    }
+    if (!cast[turn.speaker]) {
+      throw new InvalidRequestError(
+        `Turn ${index + 1}: speaker "${turn.speaker}" is not in the cast.`
+      );
+    }
+  });
+
+  const tempDir = await fs.mkdtemp(
+    path.join(os.tmpdir(), "multi-voice-dialogue-")
+  );
+
+  try {
+    log.debug("Rendering dialogue", {
+      turns: script.length,
+      speakers: new Set(script.map((turn) => turn.speaker)).size,
+    });
+
+    const turnFiles = await mapWithConcurrency(
+      script,
+      concurrency,
+      async (turn, index) => {
+        const { provider, apiKey, voice, model, prompt } = cast[turn.speaker];
+        // Turns are kept lossless; merge() encodes the dialogue once
+        const { audio, format } = await tts({
+          provider,
+          apiKey,
+          voice,
+          model,
+          prompt,
+          text: turn.text,
+          format: "wav",
+          output: "buffer",
+          retry,
+        });
+        const turnFile = path.join(
+          tempDir,
+          `turn-${index}.${format.container}`
+        );
+        await fs.writeFile(turnFile, audio);
+        return turnFile;
+      }
+    );
+
+    // Interleave the turns with silence, reusing one clip per distinct length
+    const silenceFiles = new Map();
+    const inputFiles = [];
+
+    for (const [index, turnFile] of turnFiles.entries()) {
+      inputFiles.push(turnFile);
+
+      const duration = script[index].pauseAfter ?? pause;
+      if (index === turnFiles.length - 1 || !(duration > 0)) continue;
+
+      if (!silenceFiles.has(duration)) {
+        const silenceFile = path.join(
+          tempDir,
+          `silence-${silenceFiles.size}.wav`
+        );
+        await createSilence({ outputFile: silenceFile, duration });
+        silenceFiles.set(duration, silenceFile);
+      }
+      inputFiles.push(silenceFiles.get(duration));
+    }
+
+    const format = formatFromExtension(outputFile) || "mp3";
+    const mergedFile =
+      output === "file" ? outputFile : path.join(tempDir, `dialogue.${format}`);
+    await merge({ inputFiles, outputFile: mergedFile });
+
+    const result = { format: describeFormat(format, 48000) };
+    if (output === "buffer") {
+      result.audio = await fs.readFile(mergedFile);
+    } else {
+      result.outputFile = outputFile;
+    }
+    return result;
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
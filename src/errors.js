@@ -0,0 +1,173 @@
+/**
+ * Error classes thrown by the SDK. Every provider failure is normalized into
+ * one of these so callers can branch on the class or the `retryable` flag
+ * without knowing which vendor SDK raised it.
+ */
+
+/**
+ * Base class for every error thrown by the SDK
+ */
+export class VoiceSDKError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details
+   * @param {string} [details.provider] - Provider that failed
+   * @param {number} [details.status] - HTTP status returned by the provider
+   * @param {boolean} [details.retryable=false] - Whether retrying the same request may succeed
+   * @param {number} [details.retryAfterMs] - Delay the provider asked for before retrying
+   * @param {*} [details.cause] - Underlying error
+   */
+  constructor(
+    message,
+    { provider, status, retryable = false, retryAfterMs, cause } = {}
+  ) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = new.target.name;
+    this.provider = provider;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/** The request itself is invalid (missing parameters, bad options, unknown provider) */
+export class InvalidRequestError extends VoiceSDKError {}
+
+/** The API key was rejected */
+export class AuthenticationError extends VoiceSDKError {}
+
+/** The provider is throttling requests */
+export class RateLimitError extends VoiceSDKError {
+  constructor(message, details = {}) {
+    super(message, { retryable: true, ...details });
+  }
+}
+
+/** The voice does not exist for this provider or model */
+export class InvalidVoiceError extends VoiceSDKError {}
+
+/** The text or audio exceeds what the provider accepts in one request */
+export class InputTooLongError extends VoiceSDKError {}
+
+/** The provider is down, overloaded or unreachable */
+export class ProviderUnavailableError extends VoiceSDKError {
+  constructor(message, details = {}) {
+    super(message, { retryable: true, ...details });
+  }
+}
+
+/** ffmpeg failed to decode, encode or merge audio */
+export class AudioProcessingError extends VoiceSDKError {}
+
+/** The model's reply is not valid JSON or does not match the requested schema */
+export class StructuredOutputError extends VoiceSDKError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details, as for VoiceSDKError
+   * @param {string} [details.text] - The reply that failed to parse or validate
+   * @param {string[]} [details.errors] - What was wrong with it
+   */
+  constructor(message, { text, errors = [], ...details } = {}) {
+    super(message, details);
+    this.text = text;
+    this.errors = errors;
+  }
+}
+
+const NETWORK_ERROR_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "EPIPE",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+]);
+
+function statusOf(err) {
+  const status =
+    err?.status ?? err?.statusCode ?? err?.response?.status ?? err?.code;
+  return Number.isInteger(status) && status >= 100 ? status : undefined;
+}
+
+function headerOf(err, name) {
+  const headers =
+    err?.headers ?? err?.response?.headers ?? err?.rawResponse?.headers;
+  if (!headers) return undefined;
+  return typeof headers.get === "function"
+    ? headers.get(name)
+    : headers[name] ?? headers[name.toLowerCase()];
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Convert any error raised while calling a provider into a VoiceSDKError
+ * @param {*} err - Error thrown by a provider SDK, fetch or an adapter
+ * @param {string} [provider] - Provider being called
+ * @returns {VoiceSDKError}
+ */
+export function normalizeError(err, provider) {
+  if (err instanceof VoiceSDKError) {
+    err.provider ??= provider;
+    return err;
+  }
+
+  const message =
+    (typeof err === "string" ? err : err?.message) || "Unknown provider error";
+  const status = statusOf(err);
+  const details = {
+    provider,
+    status,
+    cause: err,
+    retryAfterMs: parseRetryAfter(headerOf(err, "retry-after")),
+  };
+  const prefixed = provider ? `${provider}: ${message}` : message;
+
+  if (status === 401 || status === 403) {
+    return new AuthenticationError(prefixed, details);
+  }
+  if (status === 429) {
+    return new RateLimitError(prefixed, details);
+  }
+  if (
+    status === 413 ||
+    /too long|too large|exceeds? (the )?(maximum|limit)/i.test(message)
+  ) {
+    return new InputTooLongError(prefixed, details);
+  }
+  if (
+    /voice/i.test(message) &&
+    /not found|invalid|unknown|does not exist|no such/i.test(message)
+  ) {
+    return new InvalidVoiceError(prefixed, details);
+  }
+  if (status === 408 || (status >= 500 && status < 600)) {
+    return new ProviderUnavailableError(prefixed, details);
+  }
+  if (
+    NETWORK_ERROR_CODES.has(err?.code) ||
+    NETWORK_ERROR_CODES.has(err?.cause?.code) ||
+    // WebSocket clients often report the failed socket only in the message
+    [...NETWORK_ERROR_CODES].some((code) => message.includes(code)) ||
+    /APIConnection(Timeout)?Error|TimeoutError|FetchError/.test(err?.name || "")
+  ) {
+    return new ProviderUnavailableError(prefixed, details);
+  }
+  if (status >= 400 && status < 500) {
+    return new InvalidRequestError(prefixed, details);
+  }
+
+  return new VoiceSDKError(prefixed, details);
+}
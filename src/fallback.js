@@ -0,0 +1,41 @@
+import { InvalidRequestError } from "./errors.js";
+import { log } from "./logger.js";
+
+/**
+ * Run a call against an ordered list of providers. When `options.provider` is
+ * an array, each entry (a provider name, or an object whose fields override
+ * the shared options) is tried in turn, moving on only when the previous one
+ * failed with a retryable error. A single provider is called directly.
+ * @param {Object} options - Call options, with `provider` as a name or an array of entries
+ * @param {(options: Object) => Promise<any>} call - Function serving one provider
+ * @returns {Promise<any>} Result of the first provider that succeeds
+ */
+export async function withFallback(options, call) {
+  if (!Array.isArray(options.provider)) {
+    return call(options);
+  }
+
+  if (options.provider.length === 0) {
+    throw new InvalidRequestError("provider list must not be empty.");
+  }
+
+  const candidates = options.provider.map((entry) => ({
+    ...options,
+    ...(typeof entry === "string" ? { provider: entry } : entry),
+  }));
+
+  for (const [index, candidate] of candidates.entries()) {
+    try {
+      return await call(candidate);
+    } catch (err) {
+      const next = candidates[index + 1];
+      if (!next || !err.retryable) throw err;
+
+      log.warn(`Falling back from ${candidate.provider} to ${next.provider}`, {
+        provider: candidate.provider,
+        fallback: next.provider,
+        error: err.message,
+      });
+    }
+  }
+}
@@ -0,0 +1,107 @@
+import { Readable, PassThrough } from "stream";
+import ffmpeg from "fluent-ffmpeg";
+import ffmpegStatic from "ffmpeg-static";
+import { encoderOptions } from "./formats.js";
+import { AudioProcessingError } from "./errors.js";
+
+// Every module shells out to the ffmpeg binary bundled with ffmpeg-static
+ffmpeg.setFfmpegPath(ffmpegStatic);
+
+export { ffmpeg };
+
+/**
+ * Transcode audio to another format through ffmpeg
+ * @param {Buffer|Readable} audio - Source audio (any container ffmpeg can probe)
+ * @param {Object} options - Target format
+ * @param {string} options.format - Format name ("mp3", "wav", "ogg", "opus", "flac", "pcm")
+ * @param {number} [options.sampleRate] - Output sample rate in Hz
+ * @param {number} [options.bitrate] - Output bitrate in bits per second
+ * @param {string} [options.inputFormat] - Source format, required when the source is raw PCM
+ * @param {number} [options.inputSampleRate] - Source sample rate, required when the source is raw PCM
+ * @returns {Readable} The transcoded audio
+ */
+export function transcode(
+  audio,
+  { format, sampleRate, bitrate, inputFormat, inputSampleRate }
+) {
+  const output = new PassThrough();
+  const command = ffmpeg().input(
+    Buffer.isBuffer(audio) ? Readable.from([audio]) : audio
+  );
+
+  if (inputFormat === "pcm") {
+    command.inputOptions([
+      "-f",
+      "s16le",
+      "-ar",
+      String(inputSampleRate),
+      "-ac",
+      "1",
+    ]);
+  }
+
+  command
+    .outputOptions(encoderOptions(format, { sampleRate, bitrate }))
+    .on("error", (err) =>
+      output.destroy(
+        new AudioProcessingError(`Failed to transcode audio: ${err.message}`, {
+          cause: err,
+        })
+      )
+    )
+    .pipe(output, { end: true });
+
+  return output;
+}
+
+/**
+ * Read a file's duration and channel count from its header, without decoding the audio
+ * @param {string} file - Audio file path
+ * @returns {Promise<{duration: number, channels: number}>} Duration in seconds and number of channels
+ */
+export function probeHeader(file) {
+  return new Promise((resolve, reject) => {
+    let duration;
+    let channels;
+    ffmpeg(file)
+      .outputOptions(["-t", "0", "-f", "null"])
+      .output("-")
+      .on("stderr", (line) => {
+        const match = /Duration: (\d+):(\d+):([\d.]+)/.exec(line);
+        if (match) {
+          duration =
+            Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+        }
+
+        const layout = /Stream #0:\d+.*?: Audio: [^,]+, \d+ Hz, ([^,]+)/.exec(
+          line
+        );
+        if (layout && channels === undefined) {
+          const name = layout[1].trim();
+          channels =
+            name === "mono"
+              ? 1
+              : Number.parseInt(/(\d+) channels/.exec(name)?.[1]) || 2;
+        }
+      })
+      .on("error", (err) =>
+        reject(
+          new AudioProcessingError(`Failed to read audio: ${err.message}`, {
+            cause: err,
+          })
+        )
+      )
+      .on("end", () => {
+        if (duration > 0) {
+          resolve({ duration, channels: channels ?? 1 });
+        } else {
+          reject(
+            new AudioProcessingError(
+              `Could not determine the duration of ${file}`
+            )
+          );
+        }
+      })
+      .run();
+  });
+}
@@ -0,0 +1,81 @@
+import { InvalidRequestError } from "./errors.js";
+
+/**
+ * Audio formats the SDK can produce, and how ffmpeg encodes each of them
+ */
+
+const FORMATS = {
+  mp3: { codec: "libmp3lame", muxer: "mp3", mimeType: "audio/mpeg" },
+  wav: { codec: "pcm_s16le", muxer: "wav", mimeType: "audio/wav" },
+  ogg: { codec: "libopus", muxer: "ogg", mimeType: "audio/ogg" },
+  opus: { codec: "libopus", muxer: "opus", mimeType: "audio/opus" },
+  flac: { codec: "flac", muxer: "flac", mimeType: "audio/flac" },
+  // Raw 16-bit little-endian PCM, no container
+  pcm: { codec: "pcm_s16le", muxer: "s16le", mimeType: "audio/L16" },
+};
+
+const EXTENSION_ALIASES = { raw: "pcm", oga: "ogg" };
+
+export const SUPPORTED_FORMATS = Object.keys(FORMATS);
+
+/**
+ * Work out the format implied by a file name's extension
+ * @param {string} [file] - File path
+ * @returns {string|undefined} Format name, or undefined if the extension is not a known format
+ */
+export function formatFromExtension(file) {
+  const ext = file?.toLowerCase().split(".").pop();
+  const format = EXTENSION_ALIASES[ext] || ext;
+  return FORMATS[format] ? format : undefined;
+}
+
+/**
+ * Check that a format is supported
+ * @param {string} format - Format name
+ */
+export function assertFormat(format) {
+  if (!FORMATS[format]) {
+    throw new InvalidRequestError(
+      `Unsupported format "${format}". Supported formats: ${SUPPORTED_FORMATS.join(
+        ", "
+      )}`
+    );
+  }
+}
+
+/**
+ * ffmpeg output options encoding to a format
+ * @param {string} format - Format name
+ * @param {Object} [options] - Encoding options
+ * @param {number} [options.sampleRate] - Output sample rate in Hz
+ * @param {number} [options.bitrate] - Output bitrate in bits per second (lossy formats only)
+ * @returns {string[]} Output options for fluent-ffmpeg
+ */
+export function encoderOptions(format, { sampleRate, bitrate } = {}) {
+  assertFormat(format);
+  const { codec, muxer } = FORMATS[format];
+  const options = ["-c:a", codec, "-f", muxer];
+
+  if (sampleRate) {
+    options.push("-ar", String(sampleRate));
+  }
+  if (bitrate && codec !== "pcm_s16le" && codec !== "flac") {
+    options.push("-b:a", String(bitrate));
+  }
+
+  return options;
+}
+
+/**
+ * Describe an audio format
+ * @param {string} container - Format name ("mp3", "wav", ...)
+ * @param {number} [sampleRate] - Sample rate in Hz, if known
+ * @returns {{container: string, sampleRate?: number, mimeType: string}}
+ */
+export function describeFormat(container, sampleRate) {
+  return {
+    container,
+    sampleRate,
+    mimeType: FORMATS[container]?.mimeType || "application/octet-stream",
+  };
+}
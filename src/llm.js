@@ -1,349 +1,307 @@
-import OpenAI from "openai";
-import { GoogleGenAI } from "@google/genai";
-
-/**
- * Generate text using language models (OpenAI or Google Gemini)
- * @param {Object} options - LLM configuration options
- * @param {string} [options.provider="openai"] - Provider to use ("openai" or "gemini")
- * @param {string} options.apiKey - API key for the selected provider
- * @param {string} options.text - Input text/prompt
- * @param {string} [options.model] - Model to use (defaults based on provider)
- * @param {string} [options.systemPrompt] - System message to set context
- * @param {number} [options.temperature=0.7] - Sampling temperature (0-2)
- * @param {number} [options.maxTokens] - Maximum tokens to generate
- * @param {boolean} [options.stream=false] - Whether to stream the response
- * @returns {Promise<string|AsyncGenerator>} Promise that resolves with generated text or stream
- */
-export async function llm({
-  provider = "openai",
-  apiKey,
-  text,
-  model,
-  systemPrompt,
-  temperature = 0.7,
-  maxTokens,
-  stream = false,
-}) {
-  if (!apiKey || !text) {
-    throw new Error("Missing required parameters: apiKey or text.");
-  }
-
-  // Set default model based on provider
-  if (!model) {
-    model = provider === "gemini" ? "gemini-2.0-flash-exp" : "gpt-4o-mini";
-  }
-
-  try {
-    if (provider === "openai") {
-      return await generateWithOpenAI({
-        apiKey,
-        text,
-        model,
-        systemPrompt,
-        temperature,
-        maxTokens,
-        stream,
-      });
-    } else if (provider === "gemini") {
-      return await generateWithGemini({
-        apiKey,
-        text,
-        model,
-        systemPrompt,
-        temperature,
-        maxTokens,
-        stream,
-      });
-    } else {
-      throw new Error(
-        `Unsupported provider: ${provider}. Supported providers are "openai" and "gemini".`
-      );
-    }
-  } catch (err) {
-    console.error(`❌ ${provider.toUpperCase()} LLM error:`, err.message);
-    throw err;
-  }
-}
-
-/**
- * Generate text using OpenAI's language models
- */
-async function generateWithOpenAI({
-  apiKey,
-  text,
-  model,
-  systemPrompt,
-  temperature,
-  maxTokens,
-  stream,
-}) {
-  try {
-    const openai = new OpenAI({ apiKey });
-
-    const messages = [];
-
-    // Add system prompt if provided
-    if (systemPrompt) {
-      messages.push({ role: "system", content: systemPrompt });
-    }
-
-    // Add user message
-    messages.push({ role: "user", content: text });
-
-    const requestOptions = {
-      model,
-      messages,
-      temperature,
-      stream,
-    };
-
-    // Add max_tokens if provided
-    if (maxTokens) {
-      requestOptions.max_tokens = maxTokens;
-    }
-
-    console.log(`🤖 Generating response with OpenAI ${model}...`);
-
-    if (stream) {
-      // Return the stream for the caller to handle
-      const stream = await openai.chat.completions.create(requestOptions);
-      return stream;
-    } else {
-      // Return the complete response
-      const completion = await openai.chat.completions.create(requestOptions);
-      const response = completion.choices[0]?.message?.content;
-
-      if (!response) {
-        throw new Error("No response generated from OpenAI");
-      }
-
-      console.log(`✅ OpenAI response generated successfully`);
-      return response;
-    }
-  } catch (err) {
-    console.error("❌ OpenAI LLM error:", err.message);
-    throw err;
-  }
-}
-
-/**
- * Generate text using Google Gemini's language models
- */
-async function generateWithGemini({
-  apiKey,
-  text,
-  model,
-  systemPrompt,
-  temperature,
-  maxTokens,
-  stream,
-}) {
-  try {
-    const genAI = new GoogleGenAI(apiKey);
-
-    console.log(`🤖 Generating response with Gemini ${model}...`);
-
-    const requestOptions = {
-      model,
-      contents: text,
-      generationConfig: {
-        temperature,
-        maxOutputTokens: maxTokens,
-      },
-    };
-
-    if (systemPrompt) {
-      requestOptions.systemInstruction = systemPrompt;
-    }
-
-    if (stream) {
-      // Return the stream for the caller to handle
-      const result = await genAI.models.generateContentStream(requestOptions);
-      return result;
-    } else {
-      // Return the complete response
-      const result = await genAI.models.generateContent(requestOptions);
-      const response = result.text;
-
-      if (!response) {
-        throw new Error("No response generated from Gemini");
-      }
-
-      console.log(`✅ Gemini response generated successfully`);
-      return response;
-    }
-  } catch (err) {
-    console.error("❌ Gemini LLM error:", err.message);
-    throw err;
-  }
-}
-
-/**
- * Generate text using language models with conversation history (OpenAI or Google Gemini)
- * @param {Object} options - LLM configuration options
- * @param {string} [options.provider="openai"] - Provider to use ("openai" or "gemini")
- * @param {string} options.apiKey - API key for the selected provider
- * @param {Array<{role: string, content: string}>} options.messages - Conversation history
- * @param {string} [options.model] - Model to use (defaults based on provider)
- * @param {number} [options.temperature=0.7] - Sampling temperature (0-2)
- * @param {number} [options.maxTokens] - Maximum tokens to generate
- * @param {boolean} [options.stream=false] - Whether to stream the response
- * @returns {Promise<string|AsyncGenerator>} Promise that resolves with generated text or stream
- */
-export async function llmChat({
-  provider = "openai",
-  apiKey,
-  messages,
-  model,
-  temperature = 0.7,
-  maxTokens,
-  stream = false,
-}) {
-  if (!apiKey || !messages || !Array.isArray(messages)) {
-    throw new Error("Missing required parameters: apiKey or messages array.");
-  }
-
-  // Set default model based on provider
-  if (!model) {
-    model = provider === "gemini" ? "gemini-2.0-flash-exp" : "gpt-4o-mini";
-  }
-
-  try {
-    if (provider === "openai") {
-      return await chatWithOpenAI({
-        apiKey,
-        messages,
-        model,
-        temperature,
-        maxTokens,
-        stream,
-      });
-    } else if (provider === "gemini") {
-      return await chatWithGemini({
-        apiKey,
-        messages,
-        model,
-        temperature,
-        maxTokens,
-        stream,
-      });
-    } else {
-      throw new Error(
-        `Unsupported provider: ${provider}. Supported providers are "openai" and "gemini".`
-      );
-    }
-  } catch (err) {
-    console.error(`❌ ${provider.toUpperCase()} Chat error:`, err.message);
-    throw err;
-  }
-}
-
-/**
- * Generate text using OpenAI's language models with conversation history
- */
-async function chatWithOpenAI({
-  apiKey,
-  messages,
-  model,
-  temperature,
-  maxTokens,
-  stream,
-}) {
-  try {
-    const openai = new OpenAI({ apiKey });
-
-    const requestOptions = {
-      model,
-      messages,
-      temperature,
-      stream,
-    };
-
-    // Add max_tokens if provided
-    if (maxTokens) {
-      requestOptions.max_tokens = maxTokens;
-    }
-
-    console.log(`🤖 Generating chat response with OpenAI ${model}...`);
-
-    if (stream) {
-      // Return the stream for the caller to handle
-      const stream = await openai.chat.completions.create(requestOptions);
-      return stream;
-    } else {
-      // Return the complete response
-      const completion = await openai.chat.completions.create(requestOptions);
-      const response = completion.choices[0]?.message?.content;
-
-      if (!response) {
-        throw new Error("No response generated from OpenAI");
-      }
-
-      console.log(`✅ OpenAI chat response generated successfully`);
-      return response;
-    }
-  } catch (err) {
-    console.error("❌ OpenAI Chat error:", err.message);
-    throw err;
-  }
-}
-
-/**
- * Generate text using Google Gemini's language models with conversation history
- */
-async function chatWithGemini({
-  apiKey,
-  messages,
-  model,
-  temperature,
-  maxTokens,
-  stream,
-}) {
-  try {
-    const genAI = new GoogleGenAI(apiKey);
-
-    console.log(`🤖 Generating chat response with Gemini ${model}...`);
-
-    // Convert OpenAI-style messages to a single conversation string
-    const conversationText = messages
-      .map((msg) => {
-        const role =
-          msg.role === "assistant"
-            ? "Assistant"
-            : msg.role === "system"
-            ? "System"
-            : "User";
-        return `${role}: ${msg.content}`;
-      })
-      .join("\n\n");
-
-    const requestOptions = {
-      model,
-      contents: conversationText,
-      generationConfig: {
-        temperature,
-        maxOutputTokens: maxTokens,
-      },
-    };
-
-    if (stream) {
-      // Return the stream for the caller to handle
-      const result = await genAI.models.generateContentStream(requestOptions);
-      return result;
-    } else {
-      // Return the complete response
-      const result = await genAI.models.generateContent(requestOptions);
-      const response = result.text;
-
-      if (!response) {
-        throw new Error("No response generated from Gemini");
-      }
-
-      console.log(`✅ Gemini chat response generated successfully`);
-      return response;
-    }
-  } catch (err) {
-    console.error("❌ Gemini Chat error:", err.message);
-    throw err;
-  }
-}
+import { getLlmProvider } from "./registry.js";
+import {
+  InvalidRequestError,
+  StructuredOutputError,
+  normalizeError,
+} from "./errors.js";
+import { withRetry } from "./retry.js";
+import { withFallback } from "./fallback.js";
+import { log } from "./logger.js";
+import {
+  resolveStructuredOutput,
+  parseStructured,
+  repairMessages,
+} from "./structured.js";
+import "./providers/llm.js";
+
+/**
+ * Wrap a reply with the provider and model that produced it, and its parsed
+ * value for structured output
+ */
+function describeResponse(response, { stream, structured, provider, model }) {
+  if (stream) return { stream: response, provider, model };
+  return structured
+    ? { text: response.text, data: response.data, provider, model }
+    : { text: response, provider, model };
+}
+
+/**
+ * Resolve the structured output options, rejecting them for streamed replies
+ */
+function structuredOutput({ responseFormat, schema, stream }) {
+  const structured = resolveStructuredOutput(responseFormat, schema);
+  if (structured && stream) {
+    throw new InvalidRequestError(
+      "responseFormat and schema cannot be combined with stream."
+    );
+  }
+  return structured;
+}
+
+/**
+ * Parse a JSON reply, sending it back to the model to be corrected up to
+ * `repair` times when it is invalid
+ * @param {Object} options - Reply options
+ * @param {string} options.text - The model's reply
+ * @param {Object} options.structured - From resolveStructuredOutput()
+ * @param {Array<Object>} options.messages - The conversation that produced the reply
+ * @param {number} options.repair - Correction attempts allowed
+ * @param {(messages: Array<Object>) => Promise<string>} options.chat - Asks the provider again
+ * @param {string} options.provider - Provider name, for errors and logging
+ * @returns {Promise<{text: string, data: *}>} The final reply and its parsed value
+ */
+async function structuredReply({
+  text,
+  structured,
+  messages,
+  repair,
+  chat,
+  provider,
+}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return { text, data: parseStructured(text, structured, provider) };
+    } catch (err) {
+      if (!(err instanceof StructuredOutputError) || attempt > repair) {
+        throw err;
+      }
+      log.warn("Invalid structured reply, asking for a correction", {
+        provider,
+        attempt,
+        error: err.message,
+      });
+      messages = repairMessages(messages, err);
+      text = await chat(messages);
+    }
+  }
+}
+
+/**
+ * Generate text using language models (OpenAI, Google Gemini or a registered provider)
+ * @param {Object} options - LLM configuration options
+ * @param {string|Array<string|Object>} [options.provider="openai"] - Provider to use ("openai", "gemini" or a registered provider),
+ *   or a fallback chain of providers / `{ provider, apiKey, model, ... }` entries tried in order
+ * @param {string} options.apiKey - API key for the selected provider
+ * @param {string} options.text - Input text/prompt
+ * @param {string} [options.model] - Model to use (defaults based on provider)
+ * @param {string} [options.systemPrompt] - System message to set context
+ * @param {number} [options.temperature=0.7] - Sampling temperature (0-2)
+ * @param {number} [options.maxTokens] - Maximum tokens to generate
+ * @param {boolean} [options.stream=false] - Whether to stream the response
+ * @param {"text"|"json"|Object} [options.responseFormat="text"] - "json" for a JSON reply, or `{ schema, name, strict }` for one
+ *   matching a schema (`strict` enables OpenAI's strict schema adherence)
+ * @param {Object} [options.schema] - JSON Schema or Zod-like schema (with `safeParse`) the reply must match; resolves with the parsed value
+ * @param {number|boolean} [options.repair=0] - How many times to send an invalid JSON reply back to the model for correction
+ * @param {Object|number|boolean} [options.retry] - Retry policy override for this call (see setRetryPolicy), or false to disable retries
+ * @param {boolean} [options.fullResponse=false] - Resolve with `{ text, provider, model }` (or `{ stream, provider, model }`) instead of just the text,
+ *   plus `data` with a responseFormat or schema
+ * @returns {Promise<string|AsyncGenerator|Object>} Promise that resolves with generated text or stream, or the parsed value with a responseFormat or schema
+ */
+export async function llm(options) {
+  return withFallback(options, generateText);
+}
+
+/**
+ * Generate text with a single provider
+ */
+async function generateText({
+  provider = "openai",
+  apiKey,
+  text,
+  model,
+  systemPrompt,
+  temperature = 0.7,
+  maxTokens,
+  stream = false,
+  responseFormat,
+  schema,
+  repair = 0,
+  retry,
+  fullResponse = false,
+}) {
+  if (!apiKey || !text) {
+    throw new InvalidRequestError(
+      "Missing required parameters: apiKey or text."
+    );
+  }
+
+  const structured = structuredOutput({ responseFormat, schema, stream });
+
+  const adapter = getLlmProvider(provider);
+
+  // Set default model based on provider
+  if (!model) {
+    model = adapter.defaultModel;
+  }
+
+  const messages = [];
+  if (systemPrompt) {
+    messages.push({ role: "system", content: systemPrompt });
+  }
+  messages.push({ role: "user", content: text });
+
+  const request = {
+    apiKey,
+    model,
+    temperature,
+    maxTokens,
+    stream,
+    responseFormat: structured?.responseFormat,
+  };
+  const chat = (conversation) =>
+    withRetry(() => adapter.chat({ ...request, messages: conversation }), {
+      provider,
+      retry,
+    });
+
+  const startedAt = Date.now();
+  let response;
+  try {
+    response = adapter.generate
+      ? await withRetry(
+          () => adapter.generate({ ...request, text, systemPrompt }),
+          { provider, retry }
+        )
+      : await chat(messages);
+
+    if (structured) {
+      response = await structuredReply({
+        text: response,
+        structured,
+        messages,
+        repair: Number(repair),
+        chat,
+        provider,
+      });
+    }
+  } catch (err) {
+    const error = normalizeError(err, provider);
+    log.error("Text generation failed", {
+      provider,
+      model,
+      durationMs: Date.now() - startedAt,
+      error: error.message,
+    });
+    throw error;
+  }
+
+  log.info(stream ? "Text stream started" : "Text generated", {
+    provider,
+    model,
+    durationMs: Date.now() - startedAt,
+  });
+
+  if (fullResponse) {
+    return describeResponse(response, { stream, structured, provider, model });
+  }
+  return structured ? response.data : response;
+}
+
+/**
+ * Generate text using language models with conversation history (OpenAI, Google Gemini or a registered provider)
+ * @param {Object} options - LLM configuration options
+ * @param {string|Array<string|Object>} [options.provider="openai"] - Provider to use ("openai", "gemini" or a registered provider),
+ *   or a fallback chain of providers / `{ provider, apiKey, model, ... }` entries tried in order
+ * @param {string} options.apiKey - API key for the selected provider
+ * @param {Array<{role: string, content: string}>} options.messages - Conversation history
+ * @param {string} [options.model] - Model to use (defaults based on provider)
+ * @param {number} [options.temperature=0.7] - Sampling temperature (0-2)
+ * @param {number} [options.maxTokens] - Maximum tokens to generate
+ * @param {boolean} [options.stream=false] - Whether to stream the response
+ * @param {"text"|"json"|Object} [options.responseFormat="text"] - "json" for a JSON reply, or `{ schema, name, strict }` for one
+ *   matching a schema (`strict` enables OpenAI's strict schema adherence)
+ * @param {Object} [options.schema] - JSON Schema or Zod-like schema (with `safeParse`) the reply must match; resolves with the parsed value
+ * @param {number|boolean} [options.repair=0] - How many times to send an invalid JSON reply back to the model for correction
+ * @param {Object|number|boolean} [options.retry] - Retry policy override for this call (see setRetryPolicy), or false to disable retries
+ * @param {boolean} [options.fullResponse=false] - Resolve with `{ text, provider, model }` (or `{ stream, provider, model }`) instead of just the text,
+ *   plus `data` with a responseFormat or schema
+ * @returns {Promise<string|AsyncGenerator|Object>} Promise that resolves with generated text or stream, or the parsed value with a responseFormat or schema
+ */
+export async function llmChat(options) {
+  return withFallback(options, generateChat);
+}
+
+/**
+ * Generate a chat reply with a single provider
+ */
+async function generateChat({
+  provider = "openai",
+  apiKey,
+  messages,
+  model,
+  temperature = 0.7,
+  maxTokens,
+  stream = false,
+  responseFormat,
+  schema,
+  repair = 0,
+  retry,
+  fullResponse = false,
+}) {
+  if (!apiKey || !messages || !Array.isArray(messages)) {
+    throw new InvalidRequestError(
+      "Missing required parameters: apiKey or messages array."
+    );
+  }
+
+  const structured = structuredOutput({ responseFormat, schema, stream });
+
+  const adapter = getLlmProvider(provider);
+
+  // Set default model based on provider
+  if (!model) {
+    model = adapter.defaultModel;
+  }
+
+  const chat = (conversation) =>
+    withRetry(
+      () =>
+        adapter.chat({
+          apiKey,
+          messages: conversation,
+          model,
+          temperature,
+          maxTokens,
+          stream,
+          responseFormat: structured?.responseFormat,
+        }),
+      { provider, retry }
+    );
+
+  const startedAt = Date.now();
+  let response;
+  try {
+    response = await chat(messages);
+
+    if (structured) {
+      response = await structuredReply({
+        text: response,
+        structured,
+        messages,
+        repair: Number(repair),
+        chat,
+        provider,
+      });
+    }
+  } catch (err) {
+    const error = normalizeError(err, provider);
+    log.error("Chat response failed", {
+      provider,
+      model,
+      durationMs: Date.now() - startedAt,
+      error: error.message,
+    });
+    throw error;
+  }
+
+  log.info(stream ? "Chat stream started" : "Chat response generated", {
+    provider,
+    model,
+    durationMs: Date.now() - startedAt,
+  });
+
+  if (fullResponse) {
+    return describeResponse(response, { stream, structured, provider, model });
+  }
+  return structured ? response.data : response;
+}
@@ -0,0 +1,43 @@
+import { InvalidRequestError } from "./errors.js";
+
+/**
+ * Logging for the SDK. Nothing is written until a logger is installed with
+ * setLogger(). Each entry is passed as a single object carrying the message
+ * under both `msg` (pino) and `message` (winston) alongside its structured
+ * fields (provider, model, durationMs, file, ...).
+ */
+
+const LEVELS = ["debug", "info", "warn", "error"];
+
+let activeLogger = null;
+
+/**
+ * Install the logger used by every SDK function
+ * @param {Object|null} logger - Object with debug/info/warn/error methods (pino, winston, console, ...), or null to silence logging
+ */
+export function setLogger(logger) {
+  if (logger && !LEVELS.some((level) => typeof logger[level] === "function")) {
+    throw new InvalidRequestError(
+      "logger must implement at least one of debug, info, warn or error."
+    );
+  }
+
+  activeLogger = logger || null;
+}
+
+function write(level, msg, fields) {
+  const method = activeLogger?.[level];
+  if (typeof method !== "function") return;
+
+  method.call(activeLogger, { msg, message: msg, ...fields });
+}
+
+/**
+ * Internal logging facade; levels the installed logger lacks are dropped
+ */
+export const log = Object.fromEntries(
+  LEVELS.map((level) => [
+    level,
+    (msg, fields = {}) => write(level, msg, fields),
+  ])
+);
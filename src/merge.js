@@ -1,93 +1,507 @@
 import fs from "fs/promises";
-import ffmpeg from "fluent-ffmpeg";
-import ffmpegStatic from "ffmpeg-static";
+import { ffmpeg, probeHeader } from "./ffmpeg.js";
+import { encoderOptions, formatFromExtension } from "./formats.js";
+import { InvalidRequestError, AudioProcessingError } from "./errors.js";
+import { log } from "./logger.js";
 
-ffmpeg.setFfmpegPath(ffmpegStatic);
+/**
+ * Pick encoder options for the output file's container (MP3 unless the
+ * extension names another supported format)
+ */
+function mergeEncoderOptions(outputFile) {
+  const format = formatFromExtension(outputFile) || "mp3";
+
+  if (format === "mp3") {
+    return [
+      ...encoderOptions("mp3", { sampleRate: 48000, bitrate: "320k" }),
+      "-q:a",
+      "0", // Highest quality VBR
+    ];
+  }
+
+  return encoderOptions(format, { sampleRate: 48000 });
+}
+
+const CLIP_OPTIONS = [
+  "padBefore",
+  "padAfter",
+  "crossfade",
+  "trimStart",
+  "trimEnd",
+];
+
+/**
+ * Normalize an inputFiles entry into `{ file, ...clip options }`, checking
+ * that every duration is a non-negative number of seconds
+ */
+function normalizeClip(entry, index) {
+  const clip = typeof entry === "string" ? { file: entry } : { ...entry };
+
+  if (!clip.file) {
+    throw new InvalidRequestError(`inputFiles[${index}] has no file.`);
+  }
+
+  for (const option of CLIP_OPTIONS) {
+    if (clip[option] !== undefined && !(clip[option] >= 0)) {
+      throw new InvalidRequestError(
+        `inputFiles[${index}].${option} must be a non-negative number of seconds.`
+      );
+    }
+  }
+
+  if (clip.gain !== undefined && !Number.isFinite(clip.gain)) {
+    throw new InvalidRequestError(
+      `inputFiles[${index}].gain must be a number of decibels.`
+    );
+  }
+
+  return clip;
+}
+
+/**
+ * loudnorm options for the `loudness` option of merge(), or undefined when disabled
+ */
+function loudnormOptions(loudness) {
+  if (loudness === false) return undefined;
+  if (loudness === true || loudness === undefined) return {};
+  if (typeof loudness === "number") return { I: loudness };
+
+  const { target, truePeak, range } = loudness;
+  return { I: target, TP: truePeak, LRA: range };
+}
+
+/**
+ * Common format of every stream in the graph: mono when every input is mono,
+ * so merging does not upmix, otherwise stereo
+ */
+function streamFormat(channels) {
+  return {
+    sample_fmts: "fltp",
+    sample_rates: 48000,
+    channel_layouts: channels > 1 ? "stereo" : "mono",
+  };
+}
+
+/**
+ * Connect filters one after another, starting from the `input` stream
+ */
+function chain(steps, input, prefix) {
+  return steps.map((step, index) => ({
+    ...step,
+    inputs: index === 0 ? input : `${prefix}_${index - 1}`,
+    outputs: `${prefix}_${index}`,
+  }));
+}
+
+const DEFAULT_BED = {
+  volume: -12,
+  fadeIn: 1,
+  fadeOut: 2,
+  loop: true,
+  leadIn: 0,
+  tail: 0,
+};
+
+const DEFAULT_DUCKING = { threshold: -30, ratio: 8, attack: 20, release: 400 };
+
+/**
+ * Normalize the `bed` option into `{ file, ...settings }`
+ */
+function normalizeBed(bed) {
+  const settings = {
+    ...DEFAULT_BED,
+    duck: true,
+    ...(typeof bed === "string" ? { file: bed } : bed),
+  };
+
+  if (!settings.file) {
+    throw new InvalidRequestError("bed.file is required.");
+  }
+
+  for (const option of ["fadeIn", "fadeOut", "leadIn", "tail"]) {
+    if (!(settings[option] >= 0)) {
+      throw new InvalidRequestError(
+        `bed.${option} must be a non-negative number of seconds.`
+      );
+    }
+  }
+
+  if (!Number.isFinite(settings.volume)) {
+    throw new InvalidRequestError("bed.volume must be a number of decibels.");
+  }
+
+  settings.duck =
+    settings.duck === false
+      ? undefined
+      : {
+          ...DEFAULT_DUCKING,
+          ...(settings.duck === true ? {} : settings.duck),
+        };
+
+  return settings;
+}
+
+/**
+ * Filters laying the voice over the bed. The bed is looped (or padded with
+ * silence) and cut to the voice's length, faded in and out, and compressed by
+ * the voice through a sidechain so it dips whenever someone speaks.
+ */
+function bedFilters(bed, voice, bedInput, length, format) {
+  const filters = [];
+
+  const voiceSteps = [
+    ...(bed.leadIn
+      ? [
+          {
+            filter: "adelay",
+            options: { delays: Math.round(bed.leadIn * 1000), all: 1 },
+          },
+        ]
+      : []),
+    ...(bed.tail
+      ? [
+          {
+            filter: "apad",
+            options: { pad_len: Math.round(bed.tail * 48000) },
+          },
+        ]
+      : []),
+  ];
+  if (voiceSteps.length) {
+    filters.push(...chain(voiceSteps, voice, "voice"));
+    voice = filters[filters.length - 1].outputs;
+  }
+
+  const fadeOut = Math.min(bed.fadeOut, length);
+  filters.push(
+    ...chain(
+      [
+        { filter: "aformat", options: format },
+        { filter: "volume", options: `${bed.volume}dB` },
+        { filter: "apad" },
+        { filter: "atrim", options: { end: length } },
+        ...(bed.fadeIn
+          ? [{ filter: "afade", options: { t: "in", d: bed.fadeIn } }]
+          : []),
+        ...(fadeOut
+          ? [
+              {
+                filter: "afade",
+                options: { t: "out", st: length - fadeOut, d: fadeOut },
+              },
+            ]
+          : []),
+      ],
+      `${bedInput}:a`,
+      "bed"
+    )
+  );
+  let music = filters[filters.length - 1].outputs;
+
+  if (bed.duck) {
+    filters.push({
+      filter: "asplit",
+      options: 2,
+      inputs: voice,
+      outputs: ["voice_mix", "voice_key"],
+    });
+    filters.push({
+      filter: "sidechaincompress",
+      options: {
+        // The threshold is given in dB; the filter takes a linear level
+        threshold: Math.max(0.000976563, 10 ** (bed.duck.threshold / 20)),
+        ratio: bed.duck.ratio,
+        attack: bed.duck.attack,
+        release: bed.duck.release,
+      },
+      inputs: [music, "voice_key"],
+      outputs: "bed_ducked",
+    });
+    voice = "voice_mix";
+    music = "bed_ducked";
+  }
+
+  filters.push(
+    {
+      filter: "amix",
+      options: { inputs: 2, duration: "first" },
+      inputs: [voice, music],
+      outputs: "mix_0",
+    },
+    // amix halves each of its inputs; both run the whole length, so doubling
+    // restores their original levels
+    { filter: "volume", options: "2", inputs: "mix_0", outputs: "mixed" }
+  );
+
+  return filters;
+}
+
+/**
+ * Filters shaping one clip: trim, gain and padding. Every clip is converted
+ * to the common `format` so clips of any rate and layout can be joined and mixed.
+ */
+function clipFilters(clip, index, duration, format) {
+  const filters = [{ filter: "aformat", options: format }];
+
+  if (clip.trimStart || clip.trimEnd) {
+    filters.push(
+      {
+        filter: "atrim",
+        options: {
+          start: clip.trimStart || 0,
+          ...(clip.trimEnd ? { end: duration - clip.trimEnd } : {}),
+        },
+      },
+      { filter: "asetpts", options: "PTS-STARTPTS" }
+    );
+  }
+
+  if (clip.gain) {
+    filters.push({ filter: "volume", options: `${clip.gain}dB` });
+  }
+
+  if (clip.padBefore) {
+    filters.push({
+      filter: "adelay",
+      options: { delays: Math.round(clip.padBefore * 1000), all: 1 },
+    });
+  }
+
+  if (clip.padAfter) {
+    filters.push({
+      filter: "apad",
+      options: { pad_len: Math.round(clip.padAfter * 48000) },
+    });
+  }
+
+  return chain(filters, `${index}:a`, `clip${index}`);
+}
 
 /**
  * Merge multiple audio files into a single high-quality file
  * @param {Object} options - Merge configuration options
- * @param {string[]} options.inputFiles - Array of input file paths to merge
+ * @param {Array<string|{file: string, padBefore?: number, padAfter?: number, crossfade?: number, gain?: number, trimStart?: number, trimEnd?: number}>} options.inputFiles -
+ *   Input file paths to merge in order, or `{ file, ...options }` entries shaping each clip:
+ *   seconds of silence before/after it, seconds of crossfade into the next clip,
+ *   gain in dB, and seconds trimmed from its start/end
  * @param {string} options.outputFile - Output file path for the merged audio
+ * @param {number} [options.crossfade=0] - Crossfade in seconds between adjacent clips (a clip's crossfade overrides it)
+ * @param {boolean|number|{target?: number, truePeak?: number, range?: number}} [options.loudness=true] - Loudness normalization
+ *   of the result: true for ffmpeg's loudnorm defaults, a target in LUFS, loudnorm settings, or false to disable it
+ * @param {string|Object} [options.bed] - Music or ambience laid under the merged clips, as a file path or settings:
+ * @param {string} options.bed.file - Bed file path
+ * @param {number} [options.bed.volume=-12] - Bed gain in dB
+ * @param {boolean|{threshold?: number, ratio?: number, attack?: number, release?: number}} [options.bed.duck=true] - Duck the bed
+ *   under speech: true for the defaults, sidechain compressor settings (threshold in dB, attack/release in ms), or false
+ * @param {number} [options.bed.fadeIn=1] - Bed fade-in in seconds
+ * @param {number} [options.bed.fadeOut=2] - Bed fade-out in seconds
+ * @param {boolean} [options.bed.loop=true] - Loop a bed shorter than the voice (otherwise it is followed by silence)
+ * @param {number} [options.bed.leadIn=0] - Seconds of bed before the voice starts
+ * @param {number} [options.bed.tail=0] - Seconds of bed after the voice ends
  * @returns {Promise<void>} Promise that resolves when merging is complete
  */
-export async function merge({ inputFiles, outputFile }) {
+export async function merge({
+  inputFiles,
+  outputFile,
+  crossfade = 0,
+  loudness = true,
+  bed,
+}) {
   if (!inputFiles || !Array.isArray(inputFiles) || inputFiles.length === 0) {
-    throw new Error("inputFiles must be a non-empty array of file paths.");
+    throw new InvalidRequestError(
+      "inputFiles must be a non-empty array of file paths."
+    );
   }
 
   if (!outputFile) {
-    throw new Error("outputFile parameter is required.");
+    throw new InvalidRequestError("outputFile parameter is required.");
+  }
+
+  if (!(crossfade >= 0)) {
+    throw new InvalidRequestError(
+      "crossfade must be a non-negative number of seconds."
+    );
   }
 
-  for (const file of inputFiles) {
+  const clips = inputFiles.map(normalizeClip);
+  const music = bed ? normalizeBed(bed) : undefined;
+
+  for (const { file } of music ? [...clips, music] : clips) {
     try {
       await fs.access(file);
     } catch (error) {
-      throw new Error(`Input file not found: ${file}`);
+      throw new InvalidRequestError(`Input file not found: ${file}`);
     }
   }
 
-  console.log(
-    `🔄 Merging ${inputFiles.length} audio files with high-quality processing...`
+  const headers = await Promise.all(
+    clips.map((clip) => probeHeader(clip.file))
+  );
+  const bedHeader = music ? await probeHeader(music.file) : undefined;
+  const format = streamFormat(
+    Math.max(
+      ...headers.map((header) => header.channels),
+      bedHeader?.channels ?? 1
+    )
   );
-  console.log(`📁 Input files: ${inputFiles.join(", ")}`);
-  console.log(`📤 Output file: ${outputFile}`);
-  console.log(`🎚️ Quality: 48kHz, 320kbps, Professional Grade`);
+
+  // Length of each clip once trimmed and padded
+  const lengths = clips.map((clip, index) => {
+    const trimmed =
+      headers[index].duration - (clip.trimStart || 0) - (clip.trimEnd || 0);
+    if (trimmed <= 0) {
+      throw new InvalidRequestError(
+        `inputFiles[${index}]: trimStart and trimEnd remove all of its ${headers[index].duration}s.`
+      );
+    }
+    return trimmed + (clip.padBefore || 0) + (clip.padAfter || 0);
+  });
+
+  const filters = [];
+  const labels = clips.map((clip, index) => {
+    const steps = clipFilters(clip, index, headers[index].duration, format);
+    filters.push(...steps);
+    return steps[steps.length - 1].outputs;
+  });
+
+  // Runs of clips without crossfades are joined with one concat; a crossfade
+  // joins everything so far with the next clip
+  const concat = (group) => {
+    if (group.length === 1) return group[0];
+    const outputs = `joined${filters.length}`;
+    filters.push({
+      filter: "concat",
+      options: { n: group.length, v: 0, a: 1 },
+      inputs: group,
+      outputs,
+    });
+    return outputs;
+  };
+
+  let group = [labels[0]];
+  let joined = lengths[0];
+  for (let index = 1; index < clips.length; index++) {
+    const fade = clips[index - 1].crossfade ?? crossfade;
+    if (fade >= Math.min(joined, lengths[index])) {
+      throw new InvalidRequestError(
+        `The ${fade}s crossfade into inputFiles[${index}] must be shorter than the audio on both sides of it.`
+      );
+    }
+    joined += lengths[index] - fade;
+
+    if (fade > 0) {
+      const outputs = `faded${index}`;
+      filters.push({
+        filter: "acrossfade",
+        options: { d: fade },
+        inputs: [concat(group), labels[index]],
+        outputs,
+      });
+      group = [outputs];
+    } else {
+      group.push(labels[index]);
+    }
+  }
+  let output = concat(group);
+
+  if (music) {
+    const length = joined + music.leadIn + music.tail;
+    filters.push(...bedFilters(music, output, clips.length, length, format));
+    output = "mixed";
+  }
+
+  const loudnorm = loudnormOptions(loudness);
+  if (loudnorm) {
+    filters.push({
+      filter: "loudnorm",
+      options: Object.fromEntries(
+        Object.entries(loudnorm).filter(([, value]) => value !== undefined)
+      ),
+      inputs: output,
+      outputs: "out",
+    });
+    output = "out";
+  }
+
+  const startedAt = Date.now();
+  log.debug("Merging audio files", {
+    inputFiles: clips.map((clip) => clip.file),
+    file: outputFile,
+  });
 
   return new Promise((resolve, reject) => {
     let command = ffmpeg();
 
-    inputFiles.forEach((file) => {
+    clips.forEach(({ file }) => {
       command = command.input(file);
-    }); // Simple high-quality approach with basic concat
+    });
+    if (music) {
+      command = command.input(music.file);
+      if (music.loop) command = command.inputOptions(["-stream_loop", "-1"]);
+    }
     command
-      .complexFilter([
-        {
-          filter: "concat",
-          options: {
-            n: inputFiles.length,
-            v: 0,
-            a: 1,
-          },
-          outputs: "concat_out",
-        },
-        {
-          filter: "loudnorm",
-          inputs: "concat_out",
-          outputs: "out",
-        },
-      ])
+      .complexFilter(filters)
       .outputOptions([
         "-map",
-        "[out]",
-        "-c:a",
-        "libmp3lame",
-        "-b:a",
-        "320k",
-        "-ar",
-        "48000",
-        "-q:a",
-        "0", // Highest quality VBR
+        `[${output}]`,
+        ...mergeEncoderOptions(outputFile),
       ])
       .output(outputFile)
-      .on("start", () => {
-        console.log("🎵 High-quality merging started...");
-      })
       .on("progress", (progress) => {
         if (progress.percent) {
-          console.log(`📊 Processing: ${Math.round(progress.percent)}%`);
+          log.debug("Merge progress", {
+            file: outputFile,
+            percent: Math.round(progress.percent),
+          });
         }
       })
       .on("end", () => {
-        console.log(`✅ High-quality audio merge completed: ${outputFile}`);
-        console.log(`🎯 Professional quality: 48kHz, 320kbps`);
+        log.info("Audio files merged", {
+          file: outputFile,
+          inputs: clips.length,
+          durationMs: Date.now() - startedAt,
+        });
         resolve();
       })
       .on("error", (err) => {
-        console.error("❌ FFmpeg error:", err.message);
-        reject(new Error(`Failed to merge audio files: ${err.message}`));
+        log.error("Audio merge failed", {
+          file: outputFile,
+          durationMs: Date.now() - startedAt,
+          error: err.message,
+        });
+        reject(
+          new AudioProcessingError(
+            `Failed to merge audio files: ${err.message}`,
+            { cause: err }
+          )
+        );
       })
       .run();
   });
 }
+
+/**
+ * Write a clip of silence, used to pad between merged clips
+ * @param {Object} options - Silence options
+ * @param {string} options.outputFile - Output file path (WAV)
+ * @param {number} options.duration - Length of the silence in seconds
+ * @returns {Promise<void>} Promise that resolves when the file is written
+ */
+export function createSilence({ outputFile, duration }) {
+  return new Promise((resolve, reject) => {
+    ffmpeg()
+      .input("anullsrc=r=48000:cl=mono")
+      .inputFormat("lavfi")
+      .outputOptions(["-t", String(duration), "-c:a", "pcm_s16le"])
+      .output(outputFile)
+      .on("end", () => resolve())
+      .on("error", (err) =>
+        reject(
+          new AudioProcessingError(`Failed to create silence: ${err.message}`, {
+            cause: err,
+          })
+        )
+      )
+      .run();
+  });
+}
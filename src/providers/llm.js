@@ -0,0 +1,157 @@
+import OpenAI from "openai";
+import { GoogleGenAI } from "@google/genai";
+import { registerLlmProvider } from "../registry.js";
+import { log } from "../logger.js";
+
+/**
+ * Run an OpenAI chat completion, returning the stream or the reply text
+ */
+async function completeWithOpenAI({
+  apiKey,
+  messages,
+  model,
+  temperature,
+  maxTokens,
+  stream,
+  responseFormat,
+}) {
+  const openai = new OpenAI({ apiKey });
+
+  const requestOptions = {
+    model,
+    messages,
+    temperature,
+    stream,
+  };
+
+  // Add max_tokens if provided
+  if (maxTokens) {
+    requestOptions.max_tokens = maxTokens;
+  }
+
+  if (responseFormat?.schema) {
+    requestOptions.response_format = {
+      type: "json_schema",
+      json_schema: {
+        name: responseFormat.name,
+        schema: responseFormat.schema,
+        strict: responseFormat.strict,
+      },
+    };
+  } else if (responseFormat) {
+    requestOptions.response_format = { type: "json_object" };
+
+    // JSON mode is rejected unless the conversation asks for JSON
+    if (!messages.some((msg) => /json/i.test(msg.content))) {
+      requestOptions.messages = [
+        { role: "system", content: "Reply with a JSON object." },
+        ...messages,
+      ];
+    }
+  }
+
+  if (stream) {
+    // Return the stream for the caller to handle
+    return await openai.chat.completions.create(requestOptions);
+  }
+
+  // Return the complete response
+  const completion = await openai.chat.completions.create(requestOptions);
+  const response = completion.choices[0]?.message?.content;
+
+  if (!response) {
+    throw new Error("No response generated from OpenAI");
+  }
+
+  return response;
+}
+
+/**
+ * Build a Gemini generateContent request from OpenAI-style messages. System
+ * messages become the system instruction, and the remaining turns are sent as
+ * role-structured contents ("assistant" is Gemini's "model" role). A
+ * `responseFormat` asks for a JSON reply, matching its schema when it has one.
+ */
+function geminiRequest({
+  messages,
+  model,
+  temperature,
+  maxTokens,
+  responseFormat,
+}) {
+  const system = messages
+    .filter((msg) => msg.role === "system")
+    .map((msg) => msg.content)
+    .join("\n\n");
+
+  const contents = messages
+    .filter((msg) => msg.role !== "system")
+    .map((msg) => ({
+      role: msg.role === "assistant" ? "model" : "user",
+      parts: [{ text: msg.content }],
+    }));
+
+  const config = { temperature };
+  if (maxTokens) {
+    config.maxOutputTokens = maxTokens;
+  }
+  if (system) {
+    config.systemInstruction = system;
+  }
+  if (responseFormat) {
+    config.responseMimeType = "application/json";
+    if (responseFormat.schema) {
+      // responseJsonSchema takes JSON Schema as is; responseSchema expects Gemini's OpenAPI subset
+      config.responseJsonSchema = responseFormat.schema;
+    }
+  }
+
+  return { model, contents, config };
+}
+
+/**
+ * Run a Gemini generateContent request, returning the stream or the reply text
+ */
+async function completeWithGemini({ apiKey, stream, ...options }) {
+  const genAI = new GoogleGenAI({ apiKey });
+  const requestOptions = geminiRequest(options);
+
+  if (stream) {
+    // Return the stream for the caller to handle
+    return await genAI.models.generateContentStream(requestOptions);
+  }
+
+  // Return the complete response
+  const result = await genAI.models.generateContent(requestOptions);
+  const response = result.text;
+
+  if (!response) {
+    throw new Error("No response generated from Gemini");
+  }
+
+  return response;
+}
+
+registerLlmProvider("openai", {
+  defaultModel: "gpt-4o-mini",
+
+  /**
+   * Generate text using OpenAI's language models with conversation history
+   */
+  async chat({ model, ...options }) {
+    log.debug("Generating chat response", { provider: "openai", model });
+    return completeWithOpenAI({ model, ...options });
+  },
+});
+
+registerLlmProvider("gemini", {
+  defaultModel: "gemini-2.0-flash-exp",
+
+  /**
+   * Generate text using Google Gemini's language models with conversation history
+   */
+  async chat({ model, ...options }) {
+    log.debug("Generating chat response", { provider: "gemini", model });
+    return completeWithGemini({ model, ...options });
+  },
+});
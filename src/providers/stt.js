@@ -0,0 +1,604 @@
+import fs from "fs";
+import path from "path";
+import { createClient, LiveTranscriptionEvents } from "@deepgram/sdk";
+import { AssemblyAI } from "assemblyai";
+import OpenAI, { toFile as toOpenAIFile } from "openai";
+import Groq, { toFile as toGroqFile } from "groq-sdk";
+import { registerSttProvider } from "../registry.js";
+import { InvalidRequestError } from "../errors.js";
+import { log } from "../logger.js";
+import { dominantSpeaker, normalizeWords } from "../transcript.js";
+
+/**
+ * Prepare audio for an upload-only API: local files are streamed from disk
+ * and URLs are downloaded first
+ */
+async function uploadableAudio(audioFile, toFile) {
+  if (!/^https?:\/\//i.test(audioFile)) {
+    if (!fs.existsSync(audioFile)) {
+      throw new InvalidRequestError(`Audio file not found: ${audioFile}`);
+    }
+    return fs.createReadStream(audioFile);
+  }
+
+  const response = await fetch(audioFile);
+  if (!response.ok) {
+    const error = new Error(
+      `Failed to download audio (${response.status} ${response.statusText}): ${audioFile}`
+    );
+    error.status = response.status;
+    throw error;
+  }
+
+  const name = path.basename(new URL(audioFile).pathname) || "audio";
+  return toFile(Buffer.from(await response.arrayBuffer()), name);
+}
+
+// Redaction categories used for `redactPii: true`
+const DEEPGRAM_REDACTION = ["pii", "pci"];
+const ASSEMBLYAI_PII_POLICIES = [
+  "person_name",
+  "email_address",
+  "phone_number",
+  "location",
+  "date_of_birth",
+  "us_social_security_number",
+  "credit_card_number",
+  "credit_card_expiration",
+  "credit_card_cvv",
+  "banking_information",
+];
+
+// How often an open Deepgram live session is sent a KeepAlive message
+const DEEPGRAM_KEEPALIVE_MS = 5000;
+
+/**
+ * Redaction policies for the `redactPii` option: undefined when disabled,
+ * the given defaults for true, or the caller's own list
+ */
+function redactionPolicies(redactPii, defaults) {
+  if (!redactPii) return undefined;
+  return Array.isArray(redactPii) ? redactPii : defaults;
+}
+
+/**
+ * Transcribe with an OpenAI-compatible transcription endpoint (OpenAI, Groq).
+ * Whisper models return word and segment timings through verbose_json; the
+ * gpt-4o transcribe models only return text, scored from token logprobs.
+ */
+async function transcribeWithWhisperApi({
+  client,
+  toFile,
+  provider,
+  audioFile,
+  model,
+  language,
+  keyterms,
+  diarize,
+  speakersExpected,
+  profanityFilter,
+  redactPii,
+}) {
+  const whisper = /whisper/i.test(model);
+
+  log.debug("Transcribing audio", { provider, model, file: audioFile });
+
+  if (diarize || speakersExpected) {
+    log.warn("Speaker diarization is not supported; words have no speaker", {
+      provider,
+      model,
+    });
+  }
+
+  if (profanityFilter || redactPii) {
+    log.warn("Profanity filtering and PII redaction are not supported", {
+      provider,
+      model,
+    });
+  }
+
+  const response = await client.audio.transcriptions.create({
+    file: await uploadableAudio(audioFile, toFile),
+    model,
+    language,
+    // The prompt steers spelling toward the terms it mentions
+    prompt: keyterms?.length ? keyterms.join(", ") : undefined,
+    ...(whisper
+      ? {
+          response_format: "verbose_json",
+          timestamp_granularities: ["word", "segment"],
+        }
+      : { response_format: "json", include: ["logprobs"] }),
+  });
+
+  const scores = whisper
+    ? (response.segments || []).map((segment) => Math.exp(segment.avg_logprob))
+    : (response.logprobs || []).map((token) => Math.exp(token.logprob));
+
+  return {
+    transcript: response.text || "",
+    confidence: scores.length
+      ? scores.reduce((sum, score) => sum + score, 0) / scores.length
+      : 0,
+    words: response.words || [],
+    fullResult: response,
+    metadata: {
+      model,
+      language: response.language || language || "auto",
+      duration: response.duration,
+      channels: 1,
+      provider,
+    },
+  };
+}
+
+registerSttProvider("deepgram", {
+  pricePerMinute: {
+    "nova-3": 0.0043,
+    "nova-2": 0.0043,
+    nova: 0.0043,
+    enhanced: 0.0145,
+    base: 0.0125,
+    whisper: 0.0048,
+  },
+
+  /**
+   * Transcribe audio using Deepgram STT
+   */
+  async transcribe({
+    apiKey,
+    audioFile,
+    model = "nova-3", // Default model
+    smartFormat,
+    language,
+    detect_language,
+    punctuate,
+    diarize,
+    keyterms,
+    profanityFilter,
+    redactPii,
+    channels,
+  }) {
+    // STEP 1: Create a Deepgram client using the API key
+    const deepgram = createClient(apiKey);
+
+    // STEP 2: Detect if audioFile is a URL or local file path
+    const isUrl = /^https?:\/\//i.test(audioFile);
+
+    // STEP 3: Configure Deepgram options for audio analysis
+    const options = {
+      model,
+      smart_format: smartFormat,
+      language,
+      detect_language: language ? false : detect_language,
+      punctuate,
+      diarize,
+      profanity_filter: profanityFilter,
+      redact: redactionPolicies(redactPii, DEEPGRAM_REDACTION),
+      channels,
+      utterances: true,
+    };
+
+    // Nova-3 takes key terms; earlier models boost single keywords
+    if (keyterms?.length) {
+      options[/^nova-3/.test(model) ? "keyterm" : "keywords"] = keyterms;
+    }
+
+    let result, error;
+
+    if (isUrl) {
+      // STEP 4a: Transcribe remote file via URL
+      log.debug("Transcribing remote audio", {
+        provider: "deepgram",
+        model,
+        file: audioFile,
+      });
+
+      const response = await deepgram.listen.prerecorded.transcribeUrl(
+        { url: audioFile },
+        options
+      );
+
+      result = response.result;
+      error = response.error;
+    } else {
+      // STEP 4b: Transcribe local file
+      log.debug("Transcribing local audio", {
+        provider: "deepgram",
+        model,
+        file: audioFile,
+      });
+
+      // Check if file exists
+      if (!fs.existsSync(audioFile)) {
+        throw new InvalidRequestError(`Audio file not found: ${audioFile}`);
+      }
+
+      // Stream the file so long recordings are never held in memory
+      const response = await deepgram.listen.prerecorded.transcribeFile(
+        fs.createReadStream(audioFile),
+        options
+      );
+
+      result = response.result;
+      error = response.error;
+    }
+
+    if (error) {
+      throw error;
+    }
+
+    if (!result) {
+      throw new Error("No transcription result received");
+    }
+
+    // STEP 5: Normalize the results
+    const alternative = result.results?.channels?.[0]?.alternatives?.[0];
+
+    return {
+      transcript: alternative?.transcript || "",
+      confidence: alternative?.confidence || 0,
+      words: alternative?.words || [],
+      utterances: (result.results?.utterances || []).map((utterance) => ({
+        speaker: diarize ? String(utterance.speaker) : undefined,
+        start: utterance.start,
+        end: utterance.end,
+        text: utterance.transcript,
+        confidence: utterance.confidence,
+        words: normalizeWords(utterance.words),
+      })),
+      fullResult: result,
+      metadata: {
+        model,
+        language:
+          result.results?.channels?.[0]?.detected_language ||
+          language ||
+          "auto",
+        duration: result.metadata?.duration,
+        channels: result.metadata?.channels,
+        provider: "deepgram",
+      },
+    };
+  },
+
+  /**
+   * Open a Deepgram live transcription WebSocket
+   */
+  async listen({
+    apiKey,
+    model = "nova-3",
+    language,
+    encoding,
+    sampleRate,
+    channels,
+    interimResults,
+    diarize,
+    endpointing,
+    utteranceEndMs,
+    smartFormat,
+    onEvent,
+  }) {
+    const connection = createClient(apiKey).listen.live({
+      model,
+      language,
+      encoding: encoding === "mulaw" ? "mulaw" : "linear16",
+      sample_rate: sampleRate,
+      channels,
+      interim_results: interimResults,
+      diarize,
+      endpointing,
+      // UtteranceEnd events need interim results
+      utterance_end_ms: interimResults ? utteranceEndMs : undefined,
+      smart_format: smartFormat,
+      vad_events: true,
+    });
+
+    log.debug("Opening live transcription", { provider: "deepgram", model });
+
+    await new Promise((resolve, reject) => {
+      connection.once(LiveTranscriptionEvents.Open, () => {
+        connection.removeListener(LiveTranscriptionEvents.Error, reject);
+        resolve();
+      });
+      connection.once(LiveTranscriptionEvents.Error, (error) => {
+        // Close the failed socket before withRetry opens another
+        connection.removeAllListeners();
+        connection.requestClose();
+        connection.disconnect();
+        reject(error);
+      });
+    });
+
+    connection.on(LiveTranscriptionEvents.Transcript, (data) => {
+      const alternative = data.channel?.alternatives?.[0];
+      if (!alternative?.transcript) return;
+
+      const words = (alternative.words || []).map((word) => ({
+        word: word.punctuated_word || word.word,
+        start: word.start,
+        end: word.end,
+        confidence: word.confidence,
+        speaker: word.speaker === undefined ? undefined : String(word.speaker),
+      }));
+
+      onEvent({
+        type: data.is_final ? "final" : "interim",
+        transcript: alternative.transcript,
+        confidence: alternative.confidence,
+        words,
+        speaker: dominantSpeaker(words),
+        start: data.start,
+        end: data.start + data.duration,
+        endpoint: Boolean(data.speech_final),
+        raw: data,
+      });
+    });
+    connection.on(LiveTranscriptionEvents.UtteranceEnd, (data) => {
+      onEvent({ type: "utteranceEnd", end: data.last_word_end, raw: data });
+    });
+    connection.on(LiveTranscriptionEvents.SpeechStarted, (data) => {
+      onEvent({ type: "speechStarted", start: data.timestamp, raw: data });
+    });
+    connection.on(LiveTranscriptionEvents.Error, (error) => {
+      onEvent({ type: "error", error });
+    });
+    // Deepgram drops a stream after about 10 seconds without audio, which
+    // happens whenever a caller pushing chunks pauses
+    const keepAlive = setInterval(
+      () => connection.keepAlive(),
+      DEEPGRAM_KEEPALIVE_MS
+    );
+    keepAlive.unref();
+
+    connection.on(LiveTranscriptionEvents.Close, () => {
+      clearInterval(keepAlive);
+      onEvent({ type: "close" });
+    });
+
+    // Deepgram closes the socket once the final results are flushed
+    const closed = new Promise((resolve) => {
+      connection.once(LiveTranscriptionEvents.Close, resolve);
+    });
+
+    return {
+      send: (chunk) => connection.send(chunk),
+      async finish() {
+        clearInterval(keepAlive);
+        connection.requestClose();
+        await closed;
+      },
+    };
+  },
+});
+
+registerSttProvider("assemblyai", {
+  pricePerMinute: {
+    "slam-1": 0.0045,
+    universal: 0.0025,
+    best: 0.0062,
+    nano: 0.002,
+  },
+
+  /**
+   * Transcribe audio using AssemblyAI STT
+   */
+  async transcribe({
+    apiKey,
+    audioFile,
+    model,
+    smartFormat,
+    language,
+    detect_language,
+    punctuate,
+    diarize,
+    speakersExpected,
+    keyterms,
+    profanityFilter,
+    redactPii,
+  }) {
+    // STEP 1: Create an AssemblyAI client using the API key
+    const client = new AssemblyAI({
+      apiKey: apiKey,
+    });
+
+    // slam-1 is English-only, so other languages default to universal
+    const speechModel =
+      model ?? (!language || /^en\b/i.test(language) ? "slam-1" : "universal");
+
+    log.debug("Transcribing audio", {
+      provider: "assemblyai",
+      model: speechModel,
+      file: audioFile,
+    });
+
+    // STEP 2: Configure AssemblyAI options for audio analysis
+    const policies = redactionPolicies(redactPii, ASSEMBLYAI_PII_POLICIES);
+    const params = {
+      audio: audioFile,
+      speech_model: speechModel,
+      format_text: smartFormat,
+      punctuate,
+      language_code: language,
+      language_detection:
+        !language && speechModel !== "slam-1" ? detect_language : undefined,
+      speaker_labels: diarize || Boolean(speakersExpected),
+      speakers_expected: speakersExpected,
+      filter_profanity: profanityFilter,
+      redact_pii: Boolean(policies),
+      redact_pii_policies: policies,
+    };
+
+    // slam-1 and universal take a keyterms prompt; older models boost words
+    if (keyterms?.length) {
+      params[
+        ["best", "nano"].includes(speechModel)
+          ? "word_boost"
+          : "keyterms_prompt"
+      ] = keyterms;
+    }
+
+    // STEP 3: Start transcription
+    const transcript = await client.transcripts.transcribe(params);
+
+    if (transcript.status === "error") {
+      throw new Error(`AssemblyAI transcription failed: ${transcript.error}`);
+    }
+
+    if (transcript.status !== "completed") {
+      throw new Error(`Transcription failed with status: ${transcript.status}`);
+    }
+
+    // STEP 4: Normalize the results
+    return {
+      transcript: transcript.text || "",
+      confidence: transcript.confidence || 0,
+      words: transcript.words || [],
+      utterances: (transcript.utterances || []).map((utterance) => ({
+        speaker: utterance.speaker,
+        start: utterance.start / 1000,
+        end: utterance.end / 1000,
+        text: utterance.text,
+        confidence: utterance.confidence,
+        words: normalizeWords(utterance.words),
+      })),
+      fullResult: transcript,
+      metadata: {
+        model: speechModel,
+        language: transcript.language_code || "auto",
+        duration: transcript.audio_duration,
+        channels: 1,
+        provider: "assemblyai",
+      },
+    };
+  },
+
+  /**
+   * Open an AssemblyAI Universal-Streaming session
+   */
+  async listen({
+    apiKey,
+    model = "universal-streaming-english",
+    encoding,
+    sampleRate,
+    diarize,
+    endpointing,
+    onEvent,
+  }) {
+    const transcriber = new AssemblyAI({ apiKey }).streaming.transcriber({
+      speechModel: model,
+      sampleRate,
+      encoding: encoding === "mulaw" ? "pcm_mulaw" : "pcm_s16le",
+      formatTurns: true,
+      speakerLabels: diarize || undefined,
+      minEndOfTurnSilenceWhenConfident: endpointing || undefined,
+    });
+
+    log.debug("Opening live transcription", { provider: "assemblyai", model });
+
+    transcriber.on("turn", (turn) => {
+      if (!turn.transcript) return;
+
+      // With formatTurns every turn ends twice; only the formatted one is final
+      const final = turn.end_of_turn && turn.turn_is_formatted;
+      const words = (turn.words || []).map((word) => ({
+        word: word.text,
+        start: word.start / 1000,
+        end: word.end / 1000,
+        confidence: word.confidence,
+        speaker: word.speaker ?? turn.speaker_label,
+      }));
+
+      onEvent({
+        type: final ? "final" : "interim",
+        transcript: turn.transcript,
+        confidence:
+          words.reduce((sum, word) => sum + word.confidence, 0) /
+          (words.length || 1),
+        words,
+        speaker: turn.speaker_label ?? dominantSpeaker(words),
+        start: words[0]?.start,
+        end: words[words.length - 1]?.end,
+        endpoint: final,
+        raw: turn,
+      });
+
+      if (final) {
+        onEvent({
+          type: "utteranceEnd",
+          end: words[words.length - 1]?.end,
+          raw: turn,
+        });
+      }
+    });
+    transcriber.on("speechStarted", (event) => {
+      onEvent({
+        type: "speechStarted",
+        start: event.timestamp / 1000,
+        raw: event,
+      });
+    });
+    transcriber.on("error", (error) => {
+      onEvent({ type: "error", error });
+    });
+    transcriber.on("close", (code, reason) => {
+      onEvent({ type: "close", code, reason });
+    });
+
+    await transcriber.connect();
+
+    return {
+      send: (chunk) => transcriber.sendAudio(chunk),
+      // Waits for the session to terminate, which flushes the last turn
+      finish: () => transcriber.close(true),
+    };
+  },
+});
+
+registerSttProvider("openai", {
+  pricePerMinute: {
+    "whisper-1": 0.006,
+    "gpt-4o-transcribe": 0.006,
+    "gpt-4o-mini-transcribe": 0.003,
+  },
+
+  /**
+   * Transcribe audio using OpenAI Whisper or gpt-4o-transcribe
+   */
+  async transcribe({ apiKey, audioFile, model = "whisper-1", ...options }) {
+    return transcribeWithWhisperApi({
+      ...options,
+      client: new OpenAI({ apiKey }),
+      toFile: toOpenAIFile,
+      provider: "openai",
+      audioFile,
+      model,
+    });
+  },
+});
+
+registerSttProvider("groq", {
+  pricePerMinute: {
+    "whisper-large-v3-turbo": 0.04 / 60,
+    "whisper-large-v3": 0.111 / 60,
+    "distil-whisper-large-v3-en": 0.02 / 60,
+  },
+
+  /**
+   * Transcribe audio using Groq Whisper
+   */
+  async transcribe({
+    apiKey,
+    audioFile,
+    model = "whisper-large-v3-turbo",
+    ...options
+  }) {
+    return transcribeWithWhisperApi({
+      ...options,
+      client: new Groq({ apiKey }),
+      toFile: toGroqFile,
+      provider: "groq",
+      audioFile,
+      model,
+    });
+  },
+});
@@ -0,0 +1,301 @@
+import { Readable } from "stream";
+import { GoogleGenAI } from "@google/genai";
+import { createClient } from "@deepgram/sdk";
+import OpenAI from "openai";
+import Groq from "groq-sdk";
+import { CartesiaClient } from "@cartesia/cartesia-js";
+import wav from "wav";
+import { registerTtsProvider } from "../registry.js";
+import { log } from "../logger.js";
+import {
+  OPENAI_VOICES,
+  GEMINI_VOICES,
+  DEEPGRAM_VOICES,
+  GROQ_VOICES,
+  CARTESIA_VOICES,
+} from "./voices.js";
+
+/**
+ * Wrap raw PCM samples in a WAV container
+ */
+function encodeWav(pcmData, channels = 1, rate = 24000, sampleWidth = 2) {
+  const writer = new wav.Writer({
+    channels,
+    sampleRate: rate,
+    bitDepth: sampleWidth * 8,
+  });
+  const chunks = [];
+
+  return new Promise((resolve, reject) => {
+    writer.on("data", (chunk) => chunks.push(chunk));
+    // The writer emits the final header (with the real data length) last
+    writer.on("header", (header) => {
+      const buffer = Buffer.concat(chunks);
+      header.copy(buffer, 0);
+      resolve(buffer);
+    });
+    writer.on("error", reject);
+    writer.end(pcmData);
+  });
+}
+
+/**
+ * Use the requested sample rate if the provider supports it, else its default
+ */
+function pickSampleRate(requested, supported, fallback) {
+  return supported.includes(requested) ? requested : fallback;
+}
+
+registerTtsProvider("gemini", {
+  maxChars: 5000,
+  voices: GEMINI_VOICES,
+
+  async synthesize({ apiKey, text, voice, prompt, format }) {
+    const genAI = new GoogleGenAI({ apiKey });
+
+    log.debug("Synthesizing speech", {
+      provider: "gemini",
+      model: "gemini-2.5-flash-preview-tts",
+      voice,
+    });
+
+    const result = await genAI.models.generateContent({
+      model: "gemini-2.5-flash-preview-tts",
+      contents: [{ parts: [{ text: `${prompt}\n\n${text}`.trim() }] }],
+      config: {
+        responseModalities: ["AUDIO"],
+        speechConfig: {
+          voiceConfig: {
+            prebuiltVoiceConfig: { voiceName: voice },
+          },
+        },
+      },
+    });
+
+    const base64 =
+      result.candidates?.[0]?.content?.parts?.[0]?.inlineData?.data;
+    if (!base64) throw new Error("No audio returned from Gemini");
+
+    // Gemini returns 24kHz 16-bit mono PCM
+    const pcm = Buffer.from(base64, "base64");
+    if (format === "pcm") {
+      return { audio: pcm, container: "pcm", sampleRate: 24000 };
+    }
+    return { audio: await encodeWav(pcm), container: "wav", sampleRate: 24000 };
+  },
+});
+
+registerTtsProvider("deepgram", {
+  maxChars: 2000,
+  voices: DEEPGRAM_VOICES,
+  // Accept voices released after the bundled catalog
+  voicePattern: /^aura(-2)?-[a-z]+-[a-z]{2}$/i,
+
+  async listVoices({ apiKey }) {
+    const { result, error } = await createClient(apiKey).models.getAll();
+    if (error) throw error;
+
+    return result.tts.map((model) => {
+      const tags = model.metadata?.tags || [];
+      return {
+        id: model.canonical_name,
+        name: model.name[0].toUpperCase() + model.name.slice(1),
+        language: model.languages?.[0],
+        gender: tags.includes("feminine")
+          ? "female"
+          : tags.includes("masculine")
+          ? "male"
+          : undefined,
+        models: [model.architecture],
+      };
+    });
+  },
+
+  async synthesize({ apiKey, text, voice, format, sampleRate }) {
+    const deepgram = createClient(apiKey);
+    log.debug("Synthesizing speech", { provider: "deepgram", model: voice });
+
+    // Deepgram encodes everything but MP3 at a choice of sample rates
+    const rate = pickSampleRate(
+      sampleRate,
+      [8000, 16000, 24000, 32000, 48000],
+      24000
+    );
+    const encodings = {
+      wav: { encoding: "linear16", container: "wav", sample_rate: rate },
+      pcm: { encoding: "linear16", container: "none", sample_rate: rate },
+      ogg: { encoding: "opus", container: "ogg" },
+      opus: { encoding: "opus", container: "ogg" },
+      flac: { encoding: "flac", sample_rate: rate },
+    };
+    const container = encodings[format] ? format : "mp3";
+    const encoding = encodings[format] || { encoding: "mp3" };
+
+    const response = await deepgram.speak.request(
+      { text },
+      {
+        model: voice,
+        ...encoding,
+      }
+    );
+
+    const stream = await response.getStream();
+    if (!stream) {
+      throw new Error("No audio stream received from Deepgram");
+    }
+
+    return {
+      audio: Readable.fromWeb(stream),
+      container,
+      sampleRate:
+        container === "mp3"
+          ? 22050
+          : encoding.encoding === "opus"
+          ? 48000
+          : rate,
+    };
+  },
+});
+
+registerTtsProvider("openai", {
+  maxChars: 4096,
+  voices: OPENAI_VOICES,
+
+  async synthesize({ apiKey, text, voice, model, prompt, format }) {
+    const openai = new OpenAI({ apiKey });
+    log.debug("Synthesizing speech", { provider: "openai", model, voice });
+
+    // OpenAI's "opus" is Ogg Opus, which serves both the ogg and opus formats
+    const responseFormats = {
+      mp3: "mp3",
+      wav: "wav",
+      flac: "flac",
+      pcm: "pcm",
+      ogg: "opus",
+      opus: "opus",
+    };
+    const container = responseFormats[format] ? format : "mp3";
+
+    const requestOptions = {
+      model: model,
+      voice: voice,
+      input: text,
+      response_format: responseFormats[container],
+    };
+
+    if (model === "gpt-4o-mini-tts" && prompt) {
+      requestOptions.instructions = prompt;
+    }
+
+    const response = await openai.audio.speech.create(requestOptions);
+
+    // The body streams as OpenAI generates it
+    return {
+      audio: Readable.fromWeb(response.body),
+      container,
+      sampleRate: 24000,
+    };
+  },
+});
+
+registerTtsProvider("groq", {
+  maxChars: 10000,
+  voices: GROQ_VOICES,
+
+  async synthesize({ apiKey, text, voice, model, sampleRate }) {
+    const groq = new Groq({ apiKey });
+    const rate = pickSampleRate(
+      sampleRate,
+      [8000, 16000, 22050, 24000, 32000, 44100, 48000],
+      48000
+    );
+
+    log.debug("Synthesizing speech", {
+      provider: "groq",
+      model: model || "playai-tts",
+      voice,
+    });
+
+    const response = await groq.audio.speech.create({
+      model: model || "playai-tts",
+      voice: voice,
+      response_format: "wav",
+      sample_rate: rate,
+      input: text,
+    });
+
+    return {
+      audio: Buffer.from(await response.arrayBuffer()),
+      container: "wav",
+      sampleRate: rate,
+    };
+  },
+});
+
+registerTtsProvider("cartesia", {
+  maxChars: 5000,
+  voices: CARTESIA_VOICES,
+  // Voices are per-account IDs, so any UUID is accepted
+  voicePattern:
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+
+  async listVoices({ apiKey }) {
+    const voices = await new CartesiaClient({ apiKey }).voices.list();
+    return voices.map((voice) => ({
+      id: voice.id,
+      name: voice.name,
+      language: voice.language,
+    }));
+  },
+
+  async synthesize({
+    apiKey,
+    text,
+    voice,
+    model,
+    format,
+    sampleRate,
+    bitrate,
+  }) {
+    const client = new CartesiaClient({ apiKey });
+
+    log.debug("Synthesizing speech", {
+      provider: "cartesia",
+      model: model || "sonic-2",
+      voice,
+    });
+
+    const container = format === "wav" || format === "pcm" ? format : "mp3";
+    const rate = pickSampleRate(
+      sampleRate,
+      [8000, 16000, 22050, 24000, 44100, 48000],
+      44100
+    );
+    const bitRate = [32000, 64000, 96000, 128000, 192000].includes(bitrate)
+      ? bitrate
+      : 128000;
+    const outputFormats = {
+      mp3: { container: "mp3", sampleRate: rate, bitRate },
+      wav: { container: "wav", encoding: "pcm_s16le", sampleRate: rate },
+      pcm: { container: "raw", encoding: "pcm_s16le", sampleRate: rate },
+    };
+
+    const audio = await client.tts.bytes({
+      modelId: model || "sonic-2",
+      transcript: text,
+      voice: {
+        mode: "id",
+        id: voice,
+      },
+      language: "en",
+      outputFormat: outputFormats[container],
+    });
+
+    return {
+      audio,
+      container,
+      sampleRate: rate,
+      bitrate: container === "mp3" ? bitRate : undefined,
+    };
+  },
+});
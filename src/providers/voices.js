@@ -0,0 +1,196 @@
+/**
+ * Bundled voice catalog for the built-in TTS providers. It is used to
+ * validate `voice` before a request is sent and as the offline answer of
+ * listVoices(). Voices speaking many languages are tagged "multi".
+ */
+
+const OPENAI_MODELS = ["tts-1", "tts-1-hd", "gpt-4o-mini-tts"];
+
+export const OPENAI_VOICES = [
+  ["alloy", "neutral"],
+  ["ash", "male"],
+  ["ballad", "male", ["gpt-4o-mini-tts"]],
+  ["coral", "female"],
+  ["echo", "male"],
+  ["fable", "neutral"],
+  ["onyx", "male"],
+  ["nova", "female"],
+  ["sage", "female"],
+  ["shimmer", "female"],
+  ["verse", "male", ["gpt-4o-mini-tts"]],
+].map(([id, gender, models = OPENAI_MODELS]) => ({
+  id,
+  name: id[0].toUpperCase() + id.slice(1),
+  language: "multi",
+  gender,
+  models,
+}));
+
+export const GEMINI_VOICES = [
+  ["Zephyr", "Bright", "female"],
+  ["Puck", "Upbeat", "male"],
+  ["Charon", "Informative", "male"],
+  ["Kore", "Firm", "female"],
+  ["Fenrir", "Excitable", "male"],
+  ["Leda", "Youthful", "female"],
+  ["Orus", "Firm", "male"],
+  ["Aoede", "Breezy", "female"],
+  ["Callirrhoe", "Easy-going", "female"],
+  ["Autonoe", "Bright", "female"],
+  ["Enceladus", "Breathy", "male"],
+  ["Iapetus", "Clear", "male"],
+  ["Umbriel", "Easy-going", "male"],
+  ["Algieba", "Smooth", "male"],
+  ["Despina", "Smooth", "female"],
+  ["Erinome", "Clear", "female"],
+  ["Algenib", "Gravelly", "male"],
+  ["Rasalgethi", "Informative", "male"],
+  ["Laomedeia", "Upbeat", "female"],
+  ["Achernar", "Soft", "female"],
+  ["Alnilam", "Firm", "male"],
+  ["Schedar", "Even", "male"],
+  ["Gacrux", "Mature", "female"],
+  ["Pulcherrima", "Forward", "female"],
+  ["Achird", "Friendly", "male"],
+  ["Zubenelgenubi", "Casual", "male"],
+  ["Vindemiatrix", "Gentle", "female"],
+  ["Sadachbia", "Lively", "male"],
+  ["Sadaltager", "Knowledgeable", "male"],
+  ["Sulafat", "Warm", "female"],
+].map(([name, style, gender]) => ({
+  id: name.toLowerCase(),
+  name: `${name} (${style})`,
+  language: "multi",
+  gender,
+  models: ["gemini-2.5-flash-preview-tts", "gemini-2.5-pro-preview-tts"],
+}));
+
+// Deepgram voices are models named aura[-2]-<name>-<language>
+const deepgramVoices = (architecture, language, voices) =>
+  voices.map(([name, gender]) => ({
+    id: `${architecture}-${name}-${language}`,
+    name: name[0].toUpperCase() + name.slice(1),
+    language,
+    gender,
+    models: [architecture],
+  }));
+
+export const DEEPGRAM_VOICES = [
+  ...deepgramVoices("aura-2", "en", [
+    ["amalthea", "female"],
+    ["andromeda", "female"],
+    ["apollo", "male"],
+    ["arcas", "male"],
+    ["aries", "male"],
+    ["asteria", "female"],
+    ["athena", "female"],
+    ["atlas", "male"],
+    ["aurora", "female"],
+    ["callista", "female"],
+    ["cora", "female"],
+    ["cordelia", "female"],
+    ["delia", "female"],
+    ["draco", "male"],
+    ["electra", "female"],
+    ["harmonia", "female"],
+    ["helena", "female"],
+    ["hera", "female"],
+    ["hermes", "male"],
+    ["hyperion", "male"],
+    ["iris", "female"],
+    ["janus", "female"],
+    ["juno", "female"],
+    ["jupiter", "male"],
+    ["luna", "female"],
+    ["mars", "male"],
+    ["minerva", "female"],
+    ["neptune", "male"],
+    ["odysseus", "male"],
+    ["ophelia", "female"],
+    ["orion", "male"],
+    ["orpheus", "male"],
+    ["pandora", "female"],
+    ["phoebe", "female"],
+    ["pluto", "male"],
+    ["saturn", "male"],
+    ["selene", "female"],
+    ["thalia", "female"],
+    ["theia", "female"],
+    ["vesta", "female"],
+    ["zeus", "male"],
+  ]),
+  ...deepgramVoices("aura-2", "es", [
+    ["alvaro", "male"],
+    ["aquila", "male"],
+    ["carina", "female"],
+    ["celeste", "female"],
+    ["diana", "female"],
+    ["estrella", "female"],
+    ["javier", "male"],
+    ["nestor", "male"],
+    ["selena", "female"],
+    ["sirio", "male"],
+  ]),
+  ...deepgramVoices("aura", "en", [
+    ["angus", "male"],
+    ["arcas", "male"],
+    ["asteria", "female"],
+    ["athena", "female"],
+    ["helios", "male"],
+    ["hera", "female"],
+    ["luna", "female"],
+    ["orion", "male"],
+    ["orpheus", "male"],
+    ["perseus", "male"],
+    ["stella", "female"],
+    ["zeus", "male"],
+  ]),
+];
+
+const playAiVoices = (model, language, voices) =>
+  voices.map(([name, gender]) => ({
+    id: `${name}-PlayAI`,
+    name,
+    language,
+    gender,
+    models: [model],
+  }));
+
+export const GROQ_VOICES = [
+  ...playAiVoices("playai-tts", "en", [
+    ["Arista", "female"],
+    ["Atlas", "male"],
+    ["Basil", "male"],
+    ["Briggs", "male"],
+    ["Calum", "male"],
+    ["Celeste", "female"],
+    ["Cheyenne", "female"],
+    ["Chip", "male"],
+    ["Cillian", "male"],
+    ["Deedee", "female"],
+    ["Fritz", "male"],
+    ["Gail", "female"],
+    ["Indigo"],
+    ["Mamaw", "female"],
+    ["Mason", "male"],
+    ["Mikail", "male"],
+    ["Mitch", "male"],
+    ["Quinn"],
+    ["Thunder", "male"],
+  ]),
+  ...playAiVoices("playai-tts-arabic", "ar", [
+    ["Ahmad", "male"],
+    ["Amira", "female"],
+    ["Khalid", "male"],
+    ["Nasser", "male"],
+  ]),
+];
+
+// Cartesia voices are per-account UUIDs; only the stock default is bundled
+export const CARTESIA_VOICES = [
+  {
+    id: "694f9389-aac1-45b6-b726-9d9369183238",
+    name: "Default voice",
+    language: "en",
+  },
+];
@@ -0,0 +1,215 @@
+/**
+ * Provider registries for the TTS, STT and LLM entry points.
+ *
+ * Every provider supported by `tts()`, `stt()`, `llm()` and `llmChat()` is an
+ * adapter registered here under a lowercase name. The built-in providers are
+ * registered from `src/providers/`, and callers can add their own (in-house
+ * engines, self-hosted models, local fakes for tests) without patching the SDK.
+ */
+
+import { InvalidRequestError } from "./errors.js";
+
+/**
+ * @typedef {Object} TtsAdapter
+ * @property {(options: {apiKey: string, text: string, voice: string, model: string, prompt: string, format: string}) => Promise<{audio: Buffer|import("stream").Readable, container: string, sampleRate?: number}>} synthesize
+ *   Synthesize `text` and resolve with the audio, its container ("mp3", "wav", ...) and sample rate
+ * @property {number} [maxChars] - Longest text accepted in one request; `tts()` splits longer text
+ * @property {Voice[]} [voices] - Bundled voice catalog; when present, `tts()` rejects voices missing from it
+ * @property {RegExp} [voicePattern] - Voice IDs accepted even when missing from `voices` (per-account or newly released voices)
+ * @property {(options: {apiKey: string}) => Promise<Voice[]>} [listVoices] - Fetch the live voice list from the provider
+ */
+
+/**
+ * @typedef {Object} Voice
+ * @property {string} id - Value to pass as `voice`
+ * @property {string} [name] - Display name
+ * @property {string} [language] - Language code, or "multi" for multilingual voices
+ * @property {"female"|"male"|"neutral"} [gender] - Voice gender, when the provider states it
+ * @property {string} [provider] - Provider the voice belongs to
+ * @property {string[]} [models] - Models the voice works with (any model when omitted)
+ */
+
+/**
+ * @typedef {Object} SttAdapter
+ * @property {(options: Object) => Promise<Object>} transcribe
+ *   Transcribe `options.audioFile` (local path or URL) and resolve with a
+ *   normalized result: `{ transcript, confidence, words, fullResult, metadata }`
+ * @property {(options: Object) => Promise<{send: (chunk: Buffer) => void, finish: () => Promise<void>}>} [listen]
+ *   Open a live transcription session for `sttStream()`, reporting normalized
+ *   "interim", "final", "utteranceEnd", "speechStarted", "error" and "close"
+ *   events through `options.onEvent`
+ * @property {Object<string, number>} [pricePerMinute] - List prices in USD per
+ *   audio minute by model, used for sttBatch() cost estimates
+ */
+
+/**
+ * @typedef {Object} LlmAdapter
+ * @property {string} defaultModel - Model used when the caller does not pass one
+ * @property {(options: {apiKey: string, messages: Array<{role: string, content: string}>, model: string, temperature: number, maxTokens?: number, stream: boolean}) => Promise<string|AsyncIterable>} chat
+ *   Generate a reply to a conversation
+ * @property {(options: {apiKey: string, text: string, systemPrompt?: string, model: string, temperature: number, maxTokens?: number, stream: boolean}) => Promise<string|AsyncIterable>} [generate]
+ *   Generate a reply to a single prompt. When omitted, `llm()` calls `chat()`
+ *   with the system prompt and text as messages.
+ *   Both also receive `responseFormat` (`{ type: "json", schema?, name, strict }`) when the
+ *   caller asked for JSON; the reply is parsed and validated by the SDK either way.
+ */
+
+function createRegistry(kind, requiredMethods) {
+  const providers = new Map();
+
+  return {
+    register(name, adapter) {
+      if (!name || typeof name !== "string") {
+        throw new InvalidRequestError(
+          `${kind} provider name must be a non-empty string.`
+        );
+      }
+      if (!adapter || typeof adapter !== "object") {
+        throw new InvalidRequestError(
+          `${kind} provider "${name}" must be an adapter object.`
+        );
+      }
+      for (const method of requiredMethods) {
+        if (typeof adapter[method] !== "function") {
+          throw new InvalidRequestError(
+            `${kind} provider "${name}" must implement ${method}().`
+          );
+        }
+      }
+      providers.set(name.toLowerCase(), adapter);
+    },
+
+    unregister(name) {
+      return providers.delete(String(name).toLowerCase());
+    },
+
+    get(name) {
+      if (typeof name !== "string") {
+        throw new InvalidRequestError(
+          `${kind} provider must be given by name, got ${
+            Array.isArray(name) ? "an array" : typeof name
+          }.`
+        );
+      }
+      const adapter = name ? providers.get(name.toLowerCase()) : undefined;
+      if (!adapter) {
+        throw new InvalidRequestError(
+          `Provider "${name}" is not supported. Supported ${kind} providers: ${[
+            ...providers.keys(),
+          ].join(", ")}`
+        );
+      }
+      return adapter;
+    },
+
+    list() {
+      return [...providers.keys()];
+    },
+  };
+}
+
+const ttsProviders = createRegistry("TTS", ["synthesize"]);
+const sttProviders = createRegistry("STT", ["transcribe"]);
+const llmProviders = createRegistry("LLM", ["chat"]);
+
+/**
+ * Register (or replace) a TTS provider
+ * @param {string} name - Provider name used as `tts({ provider })`
+ * @param {TtsAdapter} adapter - Adapter implementing `synthesize()`
+ */
+export function registerTtsProvider(name, adapter) {
+  ttsProviders.register(name, adapter);
+}
+
+/**
+ * Register (or replace) an STT provider
+ * @param {string} name - Provider name used as `stt({ provider })`
+ * @param {SttAdapter} adapter - Adapter implementing `transcribe()`
+ */
+export function registerSttProvider(name, adapter) {
+  sttProviders.register(name, adapter);
+}
+
+/**
+ * Register (or replace) an LLM provider
+ * @param {string} name - Provider name used as `llm({ provider })` and `llmChat({ provider })`
+ * @param {LlmAdapter} adapter - Adapter implementing `chat()` and optionally `generate()`
+ */
+export function registerLlmProvider(name, adapter) {
+  llmProviders.register(name, adapter);
+}
+
+/**
+ * Remove a TTS provider
+ * @param {string} name - Provider name
+ * @returns {boolean} Whether a provider was removed
+ */
+export function unregisterTtsProvider(name) {
+  return ttsProviders.unregister(name);
+}
+
+/**
+ * Remove an STT provider
+ * @param {string} name - Provider name
+ * @returns {boolean} Whether a provider was removed
+ */
+export function unregisterSttProvider(name) {
+  return sttProviders.unregister(name);
+}
+
+/**
+ * Remove an LLM provider
+ * @param {string} name - Provider name
+ * @returns {boolean} Whether a provider was removed
+ */
+export function unregisterLlmProvider(name) {
+  return llmProviders.unregister(name);
+}
+
+/**
+ * Look up a TTS provider, throwing if it is not registered
+ * @param {string} name - Provider name
+ * @returns {TtsAdapter}
+ */
+export function getTtsProvider(name) {
+  return ttsProviders.get(name);
+}
+
+/**
+ * Look up an STT provider, throwing if it is not registered
+ * @param {string} name - Provider name
+ * @returns {SttAdapter}
+ */
+export function getSttProvider(name) {
+  return sttProviders.get(name);
+}
+
+/**
+ * Look up an LLM provider, throwing if it is not registered
+ * @param {string} name - Provider name
+ * @returns {LlmAdapter}
+ */
+export function getLlmProvider(name) {
+  return llmProviders.get(name);
+}
+
+/**
+ * @returns {string[]} Names of the registered TTS providers
+ */
+export function listTtsProviders() {
+  return ttsProviders.list();
+}
+
+/**
+ * @returns {string[]} Names of the registered STT providers
+ */
+export function listSttProviders() {
+  return sttProviders.list();
+}
+
+/**
+ * @returns {string[]} Names of the registered LLM providers
+ */
+export function listLlmProviders() {
+  return llmProviders.list();
+}
@@ -0,0 +1,102 @@
+import { normalizeError } from "./errors.js";
+import { log } from "./logger.js";
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} [maxAttempts=3] - Total attempts, including the first call
+ * @property {number} [initialDelayMs=500] - Delay before the first retry
+ * @property {number} [maxDelayMs=20000] - Upper bound for a single delay; a Retry-After longer than this ends the retries
+ * @property {number} [factor=2] - Multiplier applied to the delay after each attempt
+ * @property {boolean} [jitter=true] - Randomize each delay between zero and its computed value
+ * @property {boolean} [respectRetryAfter=true] - Wait as long as the provider's Retry-After header asks
+ * @property {(error: import("./errors.js").VoiceSDKError, attempt: number) => boolean} [shouldRetry]
+ *   Decide whether to retry; defaults to the error's `retryable` flag (rate limits, 5xx, network failures)
+ */
+
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  initialDelayMs: 500,
+  maxDelayMs: 20000,
+  factor: 2,
+  jitter: true,
+  respectRetryAfter: true,
+  shouldRetry: (error) => error.retryable,
+};
+
+let defaultPolicy = { ...DEFAULT_RETRY_POLICY };
+
+/**
+ * Change the retry policy used by every call that does not pass its own
+ * @param {RetryPolicy|false} policy - Policy fields to override, or false to disable retries
+ */
+export function setRetryPolicy(policy) {
+  defaultPolicy =
+    policy === false
+      ? { ...DEFAULT_RETRY_POLICY, maxAttempts: 1 }
+      : { ...DEFAULT_RETRY_POLICY, ...policy };
+}
+
+/**
+ * Combine the default policy with a per-call override
+ * @param {RetryPolicy|number|boolean} [override] - Policy fields, a number of attempts, or false to disable retries
+ * @returns {RetryPolicy}
+ */
+export function resolveRetryPolicy(override) {
+  if (override === undefined || override === true) return defaultPolicy;
+  if (override === false) return { ...defaultPolicy, maxAttempts: 1 };
+  if (typeof override === "number") {
+    return { ...defaultPolicy, maxAttempts: override };
+  }
+  return { ...defaultPolicy, ...override };
+}
+
+function backoffDelay(policy, attempt) {
+  const delay = Math.min(
+    policy.initialDelayMs * policy.factor ** (attempt - 1),
+    policy.maxDelayMs
+  );
+  return policy.jitter ? Math.random() * delay : delay;
+}
+
+/**
+ * Call `fn` until it succeeds, the error is not retryable or the attempts run out.
+ * Errors are normalized into VoiceSDKError subclasses before being judged.
+ * @param {(attempt: number) => Promise<any>} fn - Provider call
+ * @param {Object} options - Retry options
+ * @param {string} [options.provider] - Provider being called, for error normalization
+ * @param {RetryPolicy|number|boolean} [options.retry] - Per-call policy override
+ * @returns {Promise<any>} Result of the first successful call
+ */
+export async function withRetry(fn, { provider, retry } = {}) {
+  const policy = resolveRetryPolicy(retry);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      const error = normalizeError(err, provider);
+
+      if (
+        attempt >= policy.maxAttempts ||
+        !policy.shouldRetry(error, attempt)
+      ) {
+        throw error;
+      }
+
+      let delay = backoffDelay(policy, attempt);
+      if (policy.respectRetryAfter && error.retryAfterMs !== undefined) {
+        if (error.retryAfterMs > policy.maxDelayMs) throw error;
+        delay = error.retryAfterMs;
+      }
+
+      log.warn(`Retrying after ${error.name}`, {
+        provider: error.provider,
+        error: error.message,
+        attempt: attempt + 1,
+        maxAttempts: policy.maxAttempts,
+        delayMs: Math.round(delay),
+      });
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
@@ -0,0 +1,324 @@
+import { InvalidRequestError, StructuredOutputError } from "./errors.js";
+
+/**
+ * Helpers for JSON replies from llm() and llmChat(): resolving the
+ * `responseFormat` / `schema` options into the request sent to adapters, and
+ * parsing and validating what comes back.
+ */
+
+const isZodLike = (schema) => typeof schema?.safeParse === "function";
+
+/**
+ * Validate with a Zod-like schema, returning its (possibly transformed) data
+ */
+function validateWithSafeParse(schema, data) {
+  const result = schema.safeParse(data);
+  if (result.success) return { data: result.data, errors: [] };
+
+  const issues = result.error?.issues || [{ message: String(result.error) }];
+  return {
+    data,
+    errors: issues.map(
+      (issue) => `${["$", ...(issue.path || [])].join(".")}: ${issue.message}`
+    ),
+  };
+}
+
+/**
+ * Resolve the `responseFormat` and `schema` options of llm() / llmChat()
+ * @param {"text"|"json"|Object} [responseFormat] - "json", or `{ schema, name, strict }`
+ * @param {Object} [schema] - JSON Schema or Zod-like schema (shorthand for `{ schema }`)
+ * @returns {{responseFormat: {type: "json", schema?: Object, name: string, strict: boolean}, validate: (data: *) => {data: *, errors: string[]}}|undefined}
+ *   The `responseFormat` passed to adapters (`schema` is the JSON Schema sent to
+ *   the provider) and a validator for the reply, or undefined for plain text
+ */
+export function resolveStructuredOutput(responseFormat, schema) {
+  if (responseFormat === undefined || responseFormat === "text") {
+    if (schema === undefined) return undefined;
+    responseFormat = {};
+  } else if (responseFormat === "json") {
+    responseFormat = {};
+  } else if (typeof responseFormat !== "object" || responseFormat === null) {
+    throw new InvalidRequestError(
+      `Invalid responseFormat "${responseFormat}". Expected "text", "json" or { schema }.`
+    );
+  }
+
+  const { name = "response", strict = false } = responseFormat;
+  const given = responseFormat.schema ?? schema;
+
+  if (given !== undefined && (typeof given !== "object" || given === null)) {
+    throw new InvalidRequestError(
+      "schema must be a JSON Schema object or a Zod-like schema."
+    );
+  }
+  if (!/^[\w-]{1,64}$/.test(name)) {
+    throw new InvalidRequestError(
+      "responseFormat.name may only contain letters, digits, _ and -."
+    );
+  }
+
+  if (isZodLike(given)) {
+    // Zod 4 schemas can describe themselves; others are only validated locally
+    return {
+      responseFormat: {
+        type: "json",
+        schema:
+          typeof given.toJSONSchema === "function"
+            ? given.toJSONSchema()
+            : undefined,
+        name,
+        strict,
+      },
+      validate: (data) => validateWithSafeParse(given, data),
+    };
+  }
+
+  return {
+    responseFormat: { type: "json", schema: given, name, strict },
+    validate: (data) => ({
+      data,
+      errors: given ? validateJsonSchema(data, given) : [],
+    }),
+  };
+}
+
+/**
+ * Resolve a local `$ref` such as "#/$defs/address" against the root schema
+ */
+function resolveRef(ref, root) {
+  if (!ref.startsWith("#")) return undefined;
+  return ref
+    .slice(1)
+    .split("/")
+    .filter(Boolean)
+    .map((part) => part.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((node, part) => node?.[part], root);
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "object":
+      return typeOf(value) === "object";
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+/**
+ * Check `value` against a JSON Schema. Covers the keywords structured output
+ * schemas use (types, properties, required, additionalProperties, items,
+ * enum, const, anyOf/oneOf/allOf, $ref, and length, size and range limits);
+ * others, such as `format`, are ignored.
+ * @param {*} value - Parsed JSON
+ * @param {Object} schema - JSON Schema
+ * @returns {string[]} Problems found, each prefixed with the path of the value ("$.items[0].name")
+ */
+function validateJsonSchema(value, schema, root = schema, at = "$") {
+  if (schema === true || schema === undefined) return [];
+  if (schema === false) return [`${at}: is not allowed`];
+
+  if (schema.$ref) {
+    const target = resolveRef(schema.$ref, root);
+    return target === undefined
+      ? [`${at}: cannot resolve ${schema.$ref}`]
+      : validateJsonSchema(value, target, root, at);
+  }
+
+  const errors = [];
+  const fail = (message) => errors.push(`${at}: ${message}`);
+
+  if (value === null && schema.nullable) return [];
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(value, type))) {
+      fail(`expected ${types.join(" or ")}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (
+    schema.enum &&
+    !schema.enum.some(
+      (option) => JSON.stringify(option) === JSON.stringify(value)
+    )
+  ) {
+    fail(
+      `must be one of ${schema.enum
+        .map((option) => JSON.stringify(option))
+        .join(", ")}`
+    );
+  }
+  if (
+    schema.const !== undefined &&
+    JSON.stringify(schema.const) !== JSON.stringify(value)
+  ) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, "u").test(value)) {
+      fail(`must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum}`);
+    }
+    if (
+      schema.exclusiveMinimum !== undefined &&
+      value <= schema.exclusiveMinimum
+    ) {
+      fail(`must be > ${schema.exclusiveMinimum}`);
+    }
+    if (
+      schema.exclusiveMaximum !== undefined &&
+      value >= schema.exclusiveMaximum
+    ) {
+      fail(`must be < ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, index) =>
+        errors.push(
+          ...validateJsonSchema(item, schema.items, root, `${at}[${index}]`)
+        )
+      );
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!Object.hasOwn(value, key))
+        fail(`missing required property "${key}"`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const path = /^[A-Za-z_$][\w$]*$/.test(key)
+        ? `${at}.${key}`
+        : `${at}[${JSON.stringify(key)}]`;
+      if (Object.hasOwn(properties, key)) {
+        errors.push(...validateJsonSchema(item, properties[key], root, path));
+      } else if (schema.additionalProperties === false) {
+        fail(`unexpected property "${key}"`);
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(
+          ...validateJsonSchema(item, schema.additionalProperties, root, path)
+        );
+      }
+    }
+  }
+
+  for (const part of schema.allOf || []) {
+    errors.push(...validateJsonSchema(value, part, root, at));
+  }
+
+  const options = schema.anyOf || schema.oneOf;
+  if (options) {
+    const results = options.map((option) =>
+      validateJsonSchema(value, option, root, at)
+    );
+    const matches = results.filter((result) => result.length === 0).length;
+    if (matches === 0) {
+      // Report the closest option rather than every alternative
+      errors.push(
+        ...results.reduce((best, result) =>
+          result.length < best.length ? result : best
+        )
+      );
+    } else if (schema.oneOf && matches > 1) {
+      fail("must match exactly one schema in oneOf");
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parse and validate a JSON reply
+ * @param {string} text - The model's reply
+ * @param {Object} structured - From resolveStructuredOutput()
+ * @param {string} [provider] - Provider that replied, for the error
+ * @returns {*} The parsed value (as returned by the Zod-like schema, when one was given)
+ * @throws {StructuredOutputError} When the reply is not valid JSON or does not match the schema
+ */
+export function parseStructured(text, structured, provider) {
+  const prefix = provider ? `${provider}: ` : "";
+  // Models sometimes fence JSON in markdown even when asked for JSON only
+  const json = String(text ?? "")
+    .trim()
+    .replace(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/i, "$1");
+
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (err) {
+    throw new StructuredOutputError(
+      `${prefix}Reply is not valid JSON: ${err.message}`,
+      { provider, text, errors: [err.message], cause: err }
+    );
+  }
+
+  const { data, errors } = structured.validate(parsed);
+  if (errors.length) {
+    const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : "";
+    throw new StructuredOutputError(
+      `${prefix}Reply does not match the schema: ${errors
+        .slice(0, 3)
+        .join("; ")}${more}`,
+      { provider, text, errors }
+    );
+  }
+
+  return data;
+}
+
+/**
+ * Messages asking the model to correct a reply that failed parseStructured()
+ * @param {Array<{role: string, content: string}>} messages - The conversation that produced the reply
+ * @param {StructuredOutputError} error - Why the reply was rejected
+ * @returns {Array<{role: string, content: string}>}
+ */
+export function repairMessages(messages, error) {
+  return [
+    ...messages,
+    { role: "assistant", content: String(error.text ?? "") },
+    {
+      role: "user",
+      content: `That reply was rejected:\n${error.errors
+        .map((problem) => `- ${problem}`)
+        .join(
+          "\n"
+        )}\nReply again with only the corrected JSON, and no other text.`,
+    },
+  ];
+}
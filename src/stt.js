@@ -1,294 +1,436 @@
 import fs from "fs";
-import { createClient } from "@deepgram/sdk";
-import { AssemblyAI } from "assemblyai";
+import { EventEmitter } from "events";
+import { getSttProvider } from "./registry.js";
+import {
+  VoiceSDKError,
+  InvalidRequestError,
+  normalizeError,
+} from "./errors.js";
+import { withRetry } from "./retry.js";
+import { withFallback } from "./fallback.js";
+import { log } from "./logger.js";
+import { buildUtterances, normalizeWords } from "./transcript.js";
+import { resolveChunking, transcribeInChunks } from "./chunking.js";
+import {
+  toSubtitles,
+  transcriptFormatFromExtension,
+  SUBTITLE_FORMATS,
+} from "./subtitles.js";
+import "./providers/stt.js";
 
 /**
  * Transcribe audio to text using various STT providers
  * @param {Object} options - STT configuration options
- * @param {"deepgram"|"assemblyai"} options.provider - STT provider to use (required)
+ * @param {string|Array<string|Object>} options.provider - STT provider to use ("deepgram", "assemblyai", "openai", "groq" or a registered provider),
+ *   or a fallback chain of providers / `{ provider, apiKey, model, ... }` entries tried in order
  * @param {string} options.apiKey - API key for the chosen provider
  * @param {string} [options.audioFile] - Path to local audio file or URL of remote audio file to transcribe
- * @param {string} [options.outputFile="transcription.json"] - Output file path for transcription results
- * @param {string} [options.model="nova-2"] - Model to use (provider-specific)
+ * @param {string|null} [options.outputFile] - Output file path for transcription results (defaults to "transcription." plus the format's extension), or null to skip saving
+ * @param {"json"|"srt"|"vtt"} [options.format] - Output file format (defaults to the outputFile extension, else "json").
+ *   An output file that cannot be written, or captions without word timings, reject the call
+ * @param {Object} [options.subtitles] - Cue options for SRT/WebVTT output (see toSubtitles): maxChars, maxLines, maxDuration, speakerLabels
+ * @param {string} [options.model] - Model to use (defaults: "nova-3" for Deepgram, "slam-1" for AssemblyAI ("universal" for non-English language), "whisper-1" for OpenAI, "whisper-large-v3-turbo" for Groq)
  * @param {boolean} [options.smartFormat=true] - Enable smart formatting
+ * @param {string} [options.language] - Language of the audio as an ISO-639-1 code, when known
  * @param {boolean} [options.detect_language=true] - Automatic language detection
  * @param {boolean} [options.punctuate=true] - Enable punctuation
- * @param {boolean} [options.diarize=false] - Enable speaker diarization
+ * @param {boolean} [options.diarize=false] - Enable speaker diarization (Deepgram, AssemblyAI)
+ * @param {number} [options.speakersExpected] - Number of speakers in the audio, when known (AssemblyAI; implies diarize)
+ * @param {string[]} [options.keyterms] - Names, jargon and other terms to boost recognition of
+ * @param {boolean} [options.profanityFilter=false] - Mask profanity in the transcript (Deepgram, AssemblyAI)
+ * @param {boolean|string[]} [options.redactPii=false] - Redact personal information from the transcript (Deepgram, AssemblyAI);
+ *   true for the common categories, or the provider's own redaction policies
  * @param {number} [options.channels=1] - Number of audio channels
+ * @param {boolean|Object} [options.chunking] - Split long local audio into overlapping segments, cut on silence where possible,
+ *   transcribed in parallel and stitched back together: true for the defaults, or
+ *   `{ maxDuration = 600, overlap = 2, concurrency = 3, silenceThreshold = -35, minSilence = 0.4 }` (seconds, dB)
  * @param {boolean} [options.fullResponse=false] - Return full detailed response instead of just transcript
+ * @param {Object|number|boolean} [options.retry] - Retry policy override for this call (see setRetryPolicy), or false to disable retries
  * @returns {Promise<string|Object>} Promise that resolves with transcript string or full transcription results object
+ *   (`words` holds `{ word, start, end, confidence, speaker }` in seconds for every provider,
+ *   `utterances` holds speaker-segmented `{ speaker, start, end, text, confidence, words }` turns and
+ *   `metadata.provider` names the provider that served the request)
  */
-export async function stt({
+export async function stt(options) {
+  return withFallback(options, transcribeAudio);
+}
+
+/**
+ * Transcribe audio with a single provider
+ */
+export async function transcribeAudio({
   provider,
   apiKey,
   audioFile,
-  outputFile = "transcription.json",
+  outputFile,
+  format,
+  subtitles,
   model,
   smartFormat = true,
+  language,
   detect_language = true,
   punctuate = true,
   diarize = false,
+  speakersExpected,
+  keyterms,
+  profanityFilter = false,
+  redactPii = false,
   channels = 1,
+  chunking,
   fullResponse = false,
+  retry,
 }) {
   if (!provider) {
-    throw new Error("Missing required parameter: provider");
+    throw new InvalidRequestError("Missing required parameter: provider");
   }
 
   if (!apiKey) {
-    throw new Error("Missing required parameter: apiKey");
+    throw new InvalidRequestError("Missing required parameter: apiKey");
   }
 
   if (!audioFile) {
-    throw new Error(
+    throw new InvalidRequestError(
       "audioFile parameter is required (can be local file path or HTTP URL)"
     );
   }
-  // Validate provider
-  const supportedProviders = ["deepgram", "assemblyai"];
-  if (!supportedProviders.includes(provider.toLowerCase())) {
-    throw new Error(
-      `Provider "${provider}" is not supported. Supported providers: ${supportedProviders.join(
-        ", "
-      )}`
+
+  format ??= outputFile ? transcriptFormatFromExtension(outputFile) : "json";
+  if (outputFile === undefined) outputFile = `transcription.${format}`;
+
+  if (format !== "json" && !SUBTITLE_FORMATS.includes(format)) {
+    throw new InvalidRequestError(
+      `Unsupported output format "${format}". Expected "json", "srt" or "vtt".`
     );
-  } // Detect if audioFile is a URL or local file path
-  const isUrl = /^https?:\/\//i.test(audioFile);
-  const audioUrl = isUrl ? audioFile : null;
-  const localAudioFile = isUrl ? null : audioFile;
-  switch (provider.toLowerCase()) {
-    case "deepgram":
-      return await transcribeWithDeepgram({
-        apiKey,
-        audioFile: localAudioFile || audioUrl, // Pass the actual audio source
+  }
+
+  if (keyterms !== undefined && !Array.isArray(keyterms)) {
+    throw new InvalidRequestError("keyterms must be an array of strings");
+  }
+
+  const adapter = getSttProvider(provider);
+  const chunkSettings = resolveChunking(chunking);
+  const remote = /^https?:\/\//i.test(audioFile);
+
+  if (chunkSettings && remote) {
+    log.warn(
+      "Chunking only applies to local files; transcribing the URL whole",
+      {
+        provider,
+        file: audioFile,
+      }
+    );
+  }
+
+  const transcribe = (file) =>
+    withRetry(
+      () =>
+        adapter.transcribe({
+          apiKey,
+          audioFile: file,
+          model,
+          smartFormat,
+          language,
+          detect_language,
+          punctuate,
+          diarize,
+          speakersExpected,
+          keyterms,
+          profanityFilter,
+          redactPii,
+          channels,
+        }),
+      { provider, retry }
+    );
+
+  const startedAt = Date.now();
+  let transcriptionResult;
+  try {
+    transcriptionResult =
+      chunkSettings && !remote
+        ? await transcribeInChunks({
+            audioFile,
+            chunking: chunkSettings,
+            transcribe,
+            provider,
+          })
+        : await transcribe(audioFile);
+  } catch (err) {
+    const error = normalizeError(err, provider);
+    log.error("Transcription failed", {
+      provider,
+      model,
+      file: audioFile,
+      durationMs: Date.now() - startedAt,
+      error: error.message,
+    });
+    throw error;
+  }
+
+  log.info("Transcription completed", {
+    provider,
+    model: transcriptionResult.metadata?.model ?? model,
+    file: audioFile,
+    durationMs: Date.now() - startedAt,
+  });
+
+  transcriptionResult.metadata = { ...transcriptionResult.metadata, provider };
+
+  // Providers return words in their own shape and unit; callers get one
+  transcriptionResult.words = normalizeWords(transcriptionResult.words);
+
+  // Providers that do not segment the transcript get utterances built from the words
+  if (!transcriptionResult.utterances?.length) {
+    transcriptionResult.utterances = buildUtterances(transcriptionResult.words);
+  }
+
+  // Save results to output file if specified
+  if (outputFile) {
+    try {
+      await saveTranscription(transcriptionResult, {
         outputFile,
-        model,
-        smartFormat,
-        detect_language,
-        punctuate,
-        diarize,
-        channels,
+        format,
+        subtitles,
         fullResponse,
       });
-    case "assemblyai":
-      return await transcribeWithAssemblyAI({
-        apiKey,
-        audioFile: localAudioFile || audioUrl, // Pass the actual audio source
-        outputFile,
-        model,
-        fullResponse,
+      log.debug("Transcription saved", { provider, file: outputFile });
+    } catch (writeError) {
+      log.error("Failed to save transcription", {
+        provider,
+        file: outputFile,
+        error: writeError.message,
       });
-
-    default:
-      throw new Error(`Provider "${provider}" is not implemented yet.`);
+      throw writeError instanceof VoiceSDKError
+        ? writeError
+        : new VoiceSDKError(
+            `Failed to save transcription to ${outputFile}: ${writeError.message}`,
+            { provider, cause: writeError }
+          );
+    }
   }
+
+  // Return just transcript by default, or full response if requested
+  return fullResponse ? transcriptionResult : transcriptionResult.transcript;
 }
 
 /**
- * Transcribe audio using Deepgram STT
+ * Write a transcription result as JSON or captions. Captions are built from
+ * the word timings; JSON holds just the transcript or the full object,
+ * following fullResponse.
  */
-async function transcribeWithDeepgram({
-  apiKey,
-  audioFile,
-  outputFile,
-  model = "nova-3", // Default model
-  smartFormat,
-  detect_language,
-  punctuate,
-  diarize,
-  channels,
-  fullResponse,
-}) {
-  try {
-    // STEP 1: Create a Deepgram client using the API key
-    const deepgram = createClient(apiKey);
+export async function saveTranscription(
+  transcriptionResult,
+  { outputFile, format, subtitles, fullResponse }
+) {
+  const dataToSave =
+    format === "json"
+      ? JSON.stringify(
+          fullResponse
+            ? transcriptionResult
+            : { transcript: transcriptionResult.transcript },
+          null,
+          2
+        )
+      : toSubtitles(transcriptionResult, { ...subtitles, format });
+  await fs.promises.writeFile(outputFile, dataToSave);
+}
 
-    // STEP 2: Detect if audioFile is a URL or local file path
-    const isUrl = /^https?:\/\//i.test(audioFile);
+// Events kept for a `for await` loop that has not started yet; past this, the oldest are dropped
+const MAX_BUFFERED_EVENTS = 1000;
 
-    // STEP 3: Configure Deepgram options for audio analysis
-    const options = {
-      model,
-      smart_format: smartFormat,
-      detect_language,
-      punctuate,
-      diarize,
-      channels,
-    };
-
-    let result, error;
-
-    if (isUrl) {
-      // STEP 4a: Transcribe remote file via URL
-      console.log(`🎙️ Transcribing remote audio from URL: ${audioFile}`);
-      console.log(`🔧 Using model: ${model}`);
-
-      const response = await deepgram.listen.prerecorded.transcribeUrl(
-        { url: audioFile },
-        options
-      );
-
-      result = response.result;
-      error = response.error;
-    } else {
-      // STEP 4b: Transcribe local file
-      console.log(`🎙️ Transcribing local audio file: ${audioFile}`);
-      console.log(`🔧 Using model: ${model}`);
+/**
+ * Live transcription session returned by sttStream(). Results are emitted as
+ * events ("interim", "final", "utteranceEnd", "speechStarted", "error",
+ * "close") and can also be consumed with `for await`, which yields every
+ * event with its `type` until the session closes. Events are buffered from
+ * the start, so a loop begun after the session opened misses none of them.
+ */
+class TranscriptionStream extends EventEmitter {
+  #connection;
+  #queue = [];
+  #wake;
+  #iterating = false;
+  #closed = false;
+  #failure;
+  // A failure no listener or loop has seen yet, rejected from end() instead
+  #unreported;
 
-      // Check if file exists
-      if (!fs.existsSync(audioFile)) {
-        throw new Error(`Audio file not found: ${audioFile}`);
-      }
+  constructor(provider) {
+    super();
+    this.provider = provider;
+  }
+
+  /** @private Called by sttStream() once the provider connection is open */
+  attach(connection) {
+    this.#connection = connection;
+  }
 
-      const audioBuffer = fs.readFileSync(audioFile);
-      const response = await deepgram.listen.prerecorded.transcribeFile(
-        audioBuffer,
-        options
-      );
+  /** @private Receives every normalized event from the adapter */
+  dispatch(event) {
+    if (this.#closed) return;
 
-      result = response.result;
-      error = response.error;
+    if (event.type === "error") {
+      const error = normalizeError(event.error, this.provider);
+      log.error("Live transcription failed", {
+        provider: this.provider,
+        error: error.message,
+      });
+      this.#failure = error;
+      // An unhandled "error" event would crash the process, so only emit it to listeners
+      if (this.listenerCount("error") > 0) {
+        this.emit("error", error);
+      } else if (!this.#iterating) {
+        this.#unreported = error;
+      }
+    } else {
+      const normalized = { ...event, provider: this.provider };
+      if (event.type !== "close") {
+        this.#queue.push(normalized);
+        if (!this.#iterating && this.#queue.length > MAX_BUFFERED_EVENTS) {
+          this.#queue.shift();
+        }
+      }
+      if (event.type === "close") this.#closed = true;
+      this.emit(event.type, normalized);
     }
 
-    if (error) {
-      console.error("❌ Deepgram STT error:", error);
-      throw error;
+    this.#wake?.();
+  }
+
+  /**
+   * Send a chunk of audio
+   * @param {Buffer} chunk - Audio in the session's encoding and sample rate
+   */
+  write(chunk) {
+    if (this.#closed) {
+      throw new InvalidRequestError("Cannot write to a closed sttStream.");
     }
+    this.#connection.send(chunk);
+  }
 
-    // STEP 4: Process and return results
-    if (result) {
-      const transcript =
-        result.results?.channels?.[0]?.alternatives?.[0]?.transcript || "";
-      const confidence =
-        result.results?.channels?.[0]?.alternatives?.[0]?.confidence || 0;
-      const words =
-        result.results?.channels?.[0]?.alternatives?.[0]?.words || [];
-
-      console.log(`✅ Transcription completed successfully`);
-
-      const transcriptionResult = {
-        transcript,
-        confidence,
-        words,
-        fullResult: result,
-        metadata: {
-          model,
-          language:
-            result.results?.channels?.[0]?.detected_language || detect_language,
-          duration: result.metadata?.duration,
-          channels: result.metadata?.channels,
-          provider: "deepgram",
-        },
-      }; // Save results to output file if specified
-      if (outputFile) {
-        try {
-          // Save based on fullResponse setting - just transcript or full object
-          const dataToSave = fullResponse
-            ? transcriptionResult
-            : { transcript };
-          await fs.promises.writeFile(
-            outputFile,
-            JSON.stringify(dataToSave, null, 2)
-          );
-          console.log(`💾 Transcription results saved to: ${outputFile}`);
-        } catch (writeError) {
-          console.warn(
-            `⚠️ Failed to save transcription to file: ${writeError.message}`
-          );
-        }
-      }
+  /**
+   * Stop sending audio and wait for the provider to flush its last results
+   * @returns {Promise<void>} Rejects with a session error that no "error" listener or `for await` loop received
+   */
+  async end() {
+    await this.close();
 
-      // Return just transcript by default, or full response if requested
-      return fullResponse ? transcriptionResult : transcript;
-    } else {
-      throw new Error("No transcription result received");
+    const failure = this.#unreported;
+    this.#unreported = undefined;
+    if (failure) throw failure;
+  }
+
+  /** @private Flush and close the session without reporting a failure */
+  async close() {
+    if (this.#closed) return;
+    await this.#connection.finish();
+    this.dispatch({ type: "close" });
+  }
+
+  async *[Symbol.asyncIterator]() {
+    this.#iterating = true;
+
+    while (true) {
+      if (this.#queue.length > 0) {
+        yield this.#queue.shift();
+      } else if (this.#failure) {
+        this.#unreported = undefined;
+        throw this.#failure;
+      } else if (this.#closed) {
+        return;
+      } else {
+        await new Promise((resolve) => (this.#wake = resolve));
+        this.#wake = undefined;
+      }
     }
-  } catch (err) {
-    console.error("❌ STT transcription failed:", err.message);
-    throw err;
   }
 }
 
 /**
- * Transcribe audio using AssemblyAI STT
+ * Transcribe live audio over the provider's WebSocket API (Deepgram or
+ * AssemblyAI), receiving interim and final results as the audio arrives.
+ * Results are normalized: words carry `start` and `end` in seconds and a
+ * `speaker` label when diarization is on.
+ * @param {Object} options - Streaming options
+ * @param {string} options.provider - STT provider ("deepgram", "assemblyai" or a registered provider implementing listen())
+ * @param {string} options.apiKey - API key for the chosen provider
+ * @param {import("stream").Readable|AsyncIterable<Buffer>} [options.audio] - Audio to send; the session ends when it does. Omit it to push chunks with write() and finish with end()
+ * @param {"linear16"|"mulaw"} [options.encoding="linear16"] - Raw audio encoding (16-bit little-endian PCM or 8-bit mu-law)
+ * @param {number} [options.sampleRate=16000] - Sample rate of the audio in Hz
+ * @param {number} [options.channels=1] - Number of audio channels (Deepgram)
+ * @param {string} [options.model] - Model to use (default: "nova-3" for Deepgram, "universal-streaming-english" for AssemblyAI)
+ * @param {string} [options.language] - Language of the audio (Deepgram)
+ * @param {boolean} [options.interimResults=true] - Emit interim results while a phrase is still being spoken
+ * @param {boolean} [options.diarize=false] - Label words and results with speakers
+ * @param {number} [options.endpointing] - Silence in milliseconds that ends a phrase
+ * @param {number} [options.utteranceEndMs=1000] - Gap between words in milliseconds that emits "utteranceEnd" (Deepgram)
+ * @param {boolean} [options.smartFormat=true] - Enable smart formatting (Deepgram)
+ * @param {Object|number|boolean} [options.retry] - Retry policy override for opening the connection (see setRetryPolicy)
+ * @returns {Promise<TranscriptionStream>} Promise that resolves with the open session
  */
-async function transcribeWithAssemblyAI({
+export async function sttStream({
+  provider,
   apiKey,
-  audioFile,
-  outputFile,
+  audio,
+  encoding = "linear16",
+  sampleRate = 16000,
+  channels = 1,
   model,
-  fullResponse,
+  language,
+  interimResults = true,
+  diarize = false,
+  endpointing,
+  utteranceEndMs = 1000,
+  smartFormat = true,
+  retry,
 }) {
-  try {
-    // STEP 1: Create an AssemblyAI client using the API key
-    const client = new AssemblyAI({
-      apiKey: apiKey,
-    }); // STEP 2: Determine audio source
-    const audioSource = audioFile;
-
-    console.log(`🎙️ Transcribing audio with AssemblyAI: ${audioSource}`);
-    console.log(`🔧 Using model: slam-1`); // STEP 3: Configure AssemblyAI options for audio analysis
-    const params = {
-      audio: audioSource,
-      speech_model: "slam-1", // Always use slam-1 for AssemblyAI
-    };
-
-    // STEP 4: Start transcription
-    const transcript = await client.transcripts.transcribe(params);
-
-    if (transcript.status === "error") {
-      console.error("❌ AssemblyAI STT error:", transcript.error);
-      throw new Error(`AssemblyAI transcription failed: ${transcript.error}`);
-    }
+  if (!provider || !apiKey) {
+    throw new InvalidRequestError(
+      "Missing required parameters: provider or apiKey."
+    );
+  }
 
-    // STEP 5: Process and return results
-    if (transcript.status === "completed") {
-      const transcriptText = transcript.text || "";
-      const confidence = transcript.confidence || 0;
-      const words = transcript.words || [];
-
-      console.log(`✅ Transcription completed successfully`);
-
-      const transcriptionResult = {
-        transcript: transcriptText,
-        confidence: confidence,
-        words: words,
-        fullResult: transcript,
-        metadata: {
-          model: "slam-1",
-          language: transcript.language_code || "auto",
-          duration: transcript.audio_duration,
-          channels: 1,
-          provider: "assemblyai",
-        },
-      };
-
-      // Save results to output file if specified
-      if (outputFile) {
-        try {
-          // Save based on fullResponse setting - just transcript or full object
-          const dataToSave = fullResponse
-            ? transcriptionResult
-            : { transcript: transcriptText };
-          await fs.promises.writeFile(
-            outputFile,
-            JSON.stringify(dataToSave, null, 2)
-          );
-          console.log(`💾 Transcription results saved to: ${outputFile}`);
-        } catch (writeError) {
-          console.warn(
-            `⚠️ Failed to save transcription to file: ${writeError.message}`
-          );
-        }
-      }
+  const adapter = getSttProvider(provider);
+  if (typeof adapter.listen !== "function") {
+    throw new InvalidRequestError(
+      `STT provider "${provider}" does not support live transcription.`
+    );
+  }
 
-      // Return just transcript by default, or full response if requested
-      return fullResponse ? transcriptionResult : transcriptText;
-    } else {
-      throw new Error(`Transcription failed with status: ${transcript.status}`);
-    }
+  const session = new TranscriptionStream(provider);
+
+  try {
+    // Only opening the connection is retried; a live session cannot be replayed
+    const connection = await withRetry(
+      () =>
+        adapter.listen({
+          apiKey,
+          model,
+          language,
+          encoding,
+          sampleRate,
+          channels,
+          interimResults,
+          diarize,
+          endpointing,
+          utteranceEndMs,
+          smartFormat,
+          onEvent: (event) => session.dispatch(event),
+        }),
+      { provider, retry }
+    );
+    session.attach(connection);
   } catch (err) {
-    console.error("❌ STT transcription failed:", err.message);
-    throw err;
+    throw normalizeError(err, provider);
+  }
+
+  log.info("Live transcription started", { provider, model });
+
+  if (audio) {
+    (async () => {
+      for await (const chunk of audio) session.write(chunk);
+      await session.close();
+    })().catch((err) => session.dispatch({ type: "error", error: err }));
   }
+
+  return session;
 }
@@ -0,0 +1,150 @@
+import path from "path";
+import { InvalidRequestError } from "./errors.js";
+import { normalizeWords } from "./transcript.js";
+
+export const SUBTITLE_FORMATS = ["srt", "vtt"];
+
+/**
+ * Output format named by a transcription file's extension ("json" unless .srt or .vtt)
+ */
+export function transcriptFormatFromExtension(file) {
+  const extension = path
+    .extname(file || "")
+    .slice(1)
+    .toLowerCase();
+  return SUBTITLE_FORMATS.includes(extension) ? extension : "json";
+}
+
+// A pause this long always starts a new cue
+const MAX_GAP_SECONDS = 1.5;
+
+/**
+ * Group timed words into cues of at most `maxLines` lines of `maxChars`
+ * characters, lasting at most `maxDuration` seconds. A new cue also starts
+ * when the speaker changes or after a long pause.
+ */
+function buildCues(words, { maxChars, maxDuration, maxLines }) {
+  const cues = [];
+  let cue;
+
+  for (const word of words) {
+    const line = cue?.lines[cue.lines.length - 1];
+    const fitsLine =
+      line !== undefined && line.length + 1 + word.word.length <= maxChars;
+    const startsCue =
+      !cue ||
+      word.speaker !== cue.speaker ||
+      word.start - cue.end > MAX_GAP_SECONDS ||
+      word.end - cue.start > maxDuration ||
+      (!fitsLine && cue.lines.length >= maxLines);
+
+    if (startsCue) {
+      cue = {
+        start: word.start,
+        end: word.end,
+        speaker: word.speaker,
+        lines: [word.word],
+      };
+      cues.push(cue);
+    } else {
+      if (fitsLine) {
+        cue.lines[cue.lines.length - 1] = `${line} ${word.word}`;
+      } else {
+        cue.lines.push(word.word);
+      }
+      cue.end = word.end;
+    }
+  }
+
+  return cues;
+}
+
+/**
+ * Format seconds as HH:MM:SS followed by `separator` and milliseconds
+ */
+function timestamp(seconds, separator) {
+  const total = Math.max(0, Math.round(seconds * 1000));
+  const pad = (value, length = 2) => String(value).padStart(length, "0");
+
+  return `${pad(Math.floor(total / 3600000))}:${pad(
+    Math.floor(total / 60000) % 60
+  )}:${pad(Math.floor(total / 1000) % 60)}${separator}${pad(total % 1000, 3)}`;
+}
+
+function speakerName(speaker) {
+  return `Speaker ${speaker}`;
+}
+
+function formatSrt(cues, speakerLabels) {
+  return cues
+    .map((cue, index) => {
+      const lines = [...cue.lines];
+      if (speakerLabels && cue.speaker !== undefined) {
+        lines[0] = `${speakerName(cue.speaker)}: ${lines[0]}`;
+      }
+      return `${index + 1}\n${timestamp(cue.start, ",")} --> ${timestamp(
+        cue.end,
+        ","
+      )}\n${lines.join("\n")}\n`;
+    })
+    .join("\n");
+}
+
+function formatVtt(cues, speakerLabels) {
+  const body = cues
+    .map((cue) => {
+      const lines = [...cue.lines];
+      if (speakerLabels && cue.speaker !== undefined) {
+        lines[0] = `<v ${speakerName(cue.speaker)}>${lines[0]}`;
+      }
+      return `${timestamp(cue.start, ".")} --> ${timestamp(
+        cue.end,
+        "."
+      )}\n${lines.join("\n")}\n`;
+    })
+    .join("\n");
+
+  return `WEBVTT\n\n${body}`;
+}
+
+/**
+ * Build SRT or WebVTT captions from an stt() result's word timings
+ * @param {Object} transcription - Full result from `stt({ fullResponse: true })`
+ * @param {Object} [options] - Caption options
+ * @param {"srt"|"vtt"} [options.format="srt"] - Caption format
+ * @param {number} [options.maxChars=42] - Maximum characters per line
+ * @param {number} [options.maxLines=2] - Maximum lines per cue
+ * @param {number} [options.maxDuration=7] - Maximum cue duration in seconds
+ * @param {boolean} [options.speakerLabels=true] - Label cues with their speaker when the words carry one (diarization)
+ * @returns {string} Caption file contents
+ */
+export function toSubtitles(
+  transcription,
+  {
+    format = "srt",
+    maxChars = 42,
+    maxLines = 2,
+    maxDuration = 7,
+    speakerLabels = true,
+  } = {}
+) {
+  if (!SUBTITLE_FORMATS.includes(format)) {
+    throw new InvalidRequestError(
+      `Unsupported subtitle format "${format}". Supported formats: ${SUBTITLE_FORMATS.join(
+        ", "
+      )}`
+    );
+  }
+
+  const words = normalizeWords(transcription?.words);
+  if (words.length === 0 && transcription?.transcript) {
+    throw new InvalidRequestError(
+      "The transcription has no word timings to build subtitles from."
+    );
+  }
+
+  const cues = buildCues(words, { maxChars, maxDuration, maxLines });
+  return format === "vtt"
+    ? formatVtt(cues, speakerLabels)
+    : formatSrt(cues, speakerLabels);
+}
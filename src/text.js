@@ -0,0 +1,72 @@
+/**
+ * Split text into pieces of at most `maxChars` characters, breaking at
+ * paragraph boundaries first, then sentences, then words. Pieces are packed
+ * greedily so each one is as close to the limit as the boundaries allow.
+ * @param {string} text - Text to split
+ * @param {number} maxChars - Maximum characters per piece
+ * @returns {string[]} Non-empty pieces in order
+ */
+export function splitText(text, maxChars) {
+  const units = [];
+
+  for (const paragraph of text.split(/\n\s*\n/)) {
+    const trimmed = paragraph.trim();
+    if (!trimmed) continue;
+
+    if (trimmed.length <= maxChars) {
+      units.push({ text: trimmed, paragraph: true });
+      continue;
+    }
+
+    const sentences = trimmed.match(/[^.!?…]+(?:[.!?…]+["')\]]*|$)\s*/g) || [
+      trimmed,
+    ];
+    sentences.forEach((sentence, index) => {
+      for (const piece of splitLongSentence(sentence.trim(), maxChars)) {
+        units.push({ text: piece, paragraph: index === 0 });
+      }
+    });
+  }
+
+  const pieces = [];
+  let current = "";
+
+  for (const unit of units) {
+    const separator = unit.paragraph ? "\n\n" : " ";
+    if (
+      current &&
+      current.length + separator.length + unit.text.length <= maxChars
+    ) {
+      current += separator + unit.text;
+    } else {
+      if (current) pieces.push(current);
+      current = unit.text;
+    }
+  }
+  if (current) pieces.push(current);
+
+  return pieces;
+}
+
+function splitLongSentence(sentence, maxChars) {
+  if (sentence.length <= maxChars) return [sentence];
+
+  const pieces = [];
+  let current = "";
+
+  for (const word of sentence.split(/\s+/)) {
+    // A single word longer than the limit has to be cut mid-word
+    for (let i = 0; i < word.length; i += maxChars) {
+      const part = word.slice(i, i + maxChars);
+      if (current && current.length + 1 + part.length <= maxChars) {
+        current += " " + part;
+      } else {
+        if (current) pieces.push(current);
+        current = part;
+      }
+    }
+  }
+  if (current) pieces.push(current);
+
+  return pieces;
+}
@@ -0,0 +1,92 @@
+/**
+ * Helpers that read provider transcription results in a common shape.
+ */
+
+/**
+ * Convert a result's words into `{ word, start, end, confidence, speaker }`
+ * with times in seconds. Deepgram-style words (`word`, seconds) and
+ * AssemblyAI-style words (`text`, milliseconds) are both accepted.
+ * @param {Array<Object>} [words] - Words from an STT result
+ * @returns {Array<{word: string, start: number, end: number, confidence?: number, speaker?: string}>}
+ */
+export function normalizeWords(words = []) {
+  return words
+    .map((word) => {
+      const milliseconds = word.text !== undefined && word.word === undefined;
+      const scale = milliseconds ? 1000 : 1;
+
+      return {
+        word: word.punctuated_word ?? word.word ?? word.text ?? "",
+        start: word.start / scale,
+        end: word.end / scale,
+        confidence: word.confidence,
+        speaker:
+          word.speaker === undefined || word.speaker === null
+            ? undefined
+            : String(word.speaker),
+      };
+    })
+    .filter((word) => word.word && Number.isFinite(word.start));
+}
+
+/**
+ * Most common speaker among a segment's words
+ * @param {Array<{speaker?: string}>} words - Normalized words
+ * @returns {string|undefined}
+ */
+export function dominantSpeaker(words) {
+  const counts = new Map();
+  for (const { speaker } of words) {
+    if (speaker !== undefined) {
+      counts.set(speaker, (counts.get(speaker) || 0) + 1);
+    }
+  }
+
+  let best;
+  for (const [speaker, count] of counts) {
+    if (best === undefined || count > counts.get(best)) best = speaker;
+  }
+  return best;
+}
+
+// Without a speaker change, a pause this long still ends an utterance
+const UTTERANCE_GAP_SECONDS = 1;
+
+/**
+ * Group words into utterances, starting a new one whenever the speaker
+ * changes or after a pause. Used for providers that do not segment the
+ * transcript themselves.
+ * @param {Array<Object>} words - Words from an STT result
+ * @returns {Array<{speaker?: string, start: number, end: number, text: string, confidence?: number, words: Array<Object>}>}
+ */
+export function buildUtterances(words) {
+  const utterances = [];
+  let current;
+
+  for (const word of normalizeWords(words)) {
+    if (
+      !current ||
+      word.speaker !== current.speaker ||
+      word.start - current.end > UTTERANCE_GAP_SECONDS
+    ) {
+      current = { speaker: word.speaker, start: word.start, words: [] };
+      utterances.push(current);
+    }
+    current.words.push(word);
+    current.end = word.end;
+  }
+
+  return utterances.map(({ speaker, start, end, words: segment }) => {
+    const scored = segment.filter((word) => word.confidence !== undefined);
+    return {
+      speaker,
+      start,
+      end,
+      text: segment.map((word) => word.word).join(" "),
+      confidence: scored.length
+        ? scored.reduce((sum, word) => sum + word.confidence, 0) / scored.length
+        : undefined,
+      words: segment,
+    };
+  });
+}
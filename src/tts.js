@@ -1,47 +1,150 @@
 import fs from "fs/promises";
 import { createWriteStream } from "fs";
+import os from "os";
+import path from "path";
+import { Readable } from "stream";
 import { pipeline } from "stream/promises";
-import { GoogleGenAI } from "@google/genai";
-import { createClient } from "@deepgram/sdk";
-import OpenAI from "openai";
-import Groq from "groq-sdk";
-import { CartesiaClient } from "@cartesia/cartesia-js";
-import wav from "wav";
-
-async function saveWaveFile(
-  filename,
-  pcmData,
-  channels = 1,
-  rate = 24000,
-  sampleWidth = 2
-) {
-  const writer = new wav.FileWriter(filename, {
-    channels,
-    sampleRate: rate,
-    bitDepth: sampleWidth * 8,
-  });
-
-  return new Promise((resolve, reject) => {
-    writer.on("finish", resolve);
-    writer.on("error", reject);
-    writer.write(pcmData);
-    writer.end();
-  });
+import { buffer as readAll } from "stream/consumers";
+import { getTtsProvider } from "./registry.js";
+import {
+  describeFormat,
+  formatFromExtension,
+  assertFormat,
+} from "./formats.js";
+import { transcode } from "./ffmpeg.js";
+import { InvalidRequestError, normalizeError } from "./errors.js";
+import { withRetry } from "./retry.js";
+import { withFallback } from "./fallback.js";
+import { log } from "./logger.js";
+import { resolveCache, cacheKey, readCache, writeCache } from "./cache.js";
+import { assertVoice } from "./voices.js";
+import { splitText } from "./text.js";
+import { mapWithConcurrency } from "./concurrency.js";
+import { merge } from "./merge.js";
+import "./providers/tts.js";
+
+/**
+ * Write a Buffer or Readable to a file
+ */
+async function writeAudio(file, audio) {
+  if (Buffer.isBuffer(audio)) {
+    await fs.writeFile(file, audio);
+  } else {
+    await pipeline(audio, createWriteStream(file));
+  }
+}
+
+/**
+ * Transcode synthesized audio through ffmpeg unless the provider already
+ * produced the requested format, sample rate and bitrate
+ */
+function conformAudio(synthesized, { format, sampleRate, bitrate }) {
+  const lossless = ["wav", "pcm", "flac"].includes(format);
+  const matches =
+    synthesized.container === format &&
+    (!sampleRate || synthesized.sampleRate === sampleRate) &&
+    (!bitrate || lossless || synthesized.bitrate === bitrate);
+  if (matches) return synthesized;
+
+  // Opus only encodes at a few rates, so pin it rather than let ffmpeg pick
+  const rate =
+    sampleRate || (format === "ogg" || format === "opus" ? 48000 : undefined);
+
+  return {
+    audio: transcode(synthesized.audio, {
+      format,
+      sampleRate: rate,
+      bitrate,
+      inputFormat: synthesized.container,
+      inputSampleRate: synthesized.sampleRate,
+    }),
+    container: format,
+    sampleRate: rate || synthesized.sampleRate,
+  };
+}
+
+/**
+ * Synthesize each piece of a long text with bounded concurrency and join the
+ * clips with merge(). The pieces are requested and joined as WAV, so the
+ * requested format is encoded only once, by conformAudio(), and their
+ * loudness is left as the provider made it, matching short text.
+ */
+async function synthesizePieces({ synthesize, pieces, concurrency, request }) {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "multi-voice-tts-"));
+
+  try {
+    log.debug("Synthesizing long text in chunks", {
+      chunks: pieces.length,
+      concurrency,
+    });
+
+    const partFiles = await mapWithConcurrency(
+      pieces,
+      concurrency,
+      async (piece, index) => {
+        // Providers that cannot produce WAV return their own container, which merge() decodes
+        const { audio, container } = await synthesize({
+          ...request,
+          format: "wav",
+          bitrate: undefined,
+          text: piece,
+        });
+        const partFile = path.join(tempDir, `part-${index}.${container}`);
+        await writeAudio(partFile, audio);
+        return partFile;
+      }
+    );
+
+    const joinedFile = path.join(tempDir, "joined.wav");
+    await merge({
+      inputFiles: partFiles,
+      outputFile: joinedFile,
+      loudness: false,
+    });
+
+    return {
+      audio: await fs.readFile(joinedFile),
+      container: "wav",
+      sampleRate: 48000,
+    };
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
 }
 
 /**
  * Generate speech from text using various TTS providers
  * @param {Object} options - TTS configuration options
- * @param {"gemini"|"deepgram"|"openai"|"groq"|"cartesia"} options.provider - TTS provider to use
+ * @param {string|Array<string|Object>} options.provider - TTS provider to use ("gemini", "deepgram", "openai", "groq", "cartesia" or a registered provider),
+ *   or a fallback chain of providers / `{ provider, apiKey, voice, ... }` entries tried in order
  * @param {string} options.apiKey - API key for the chosen provider
  * @param {string} options.text - Text to convert to speech
  * @param {string} options.voice - Voice identifier (provider-specific, for Cartesia use voice ID)
  * @param {string} [options.outputFile="output.mp3"] - Output file path
+ * @param {"file"|"buffer"|"stream"} [options.output="file"] - Write to outputFile, or return the audio as a Buffer or Readable
+ * @param {"mp3"|"wav"|"ogg"|"opus"|"flac"|"pcm"} [options.format] - Audio format (defaults to the outputFile extension, else "mp3")
+ * @param {number} [options.sampleRate] - Output sample rate in Hz (defaults to the provider's)
+ * @param {number} [options.bitrate] - Output bitrate in bits per second, for lossy formats
  * @param {string} [options.model] - Model to use (provider-specific)
  * @param {string} [options.prompt] - Additional instructions for speech generation
- * @returns {Promise<void>} Promise that resolves when audio generation is complete
+ * @param {number} [options.maxChars] - Split text longer than this many characters (defaults to the provider's input limit)
+ * @param {number} [options.concurrency=2] - Maximum concurrent requests when synthesizing split text
+ * @param {Object|number|boolean} [options.retry] - Retry policy override for this call (see setRetryPolicy), or false to disable retries
+ * @param {boolean|Object} [options.cache] - Reuse audio synthesized earlier for the same provider, model, voice, prompt, text and format:
+ *   true for the default file cache, createFileCache() options (`{ dir, ttlMs, maxBytes }`), or a store with get() and set()
+ * @param {boolean} [options.validateVoice=true] - Reject voices missing from the provider's bundled catalog before calling it
+ * @returns {Promise<{provider: string, cached: boolean, outputFile?: string, audio?: Buffer|Readable, format: {container: string, sampleRate?: number, mimeType: string}}>}
+ *   Promise that resolves with the provider that served the request, whether it came from the cache, the written file or the audio, and its format
+ * @throws {VoiceSDKError} A subclass such as AuthenticationError or RateLimitError when synthesis fails
  */
-export async function tts({
+export async function tts(options) {
+  return withFallback(options, synthesizeSpeech);
+}
+
+/**
+ * Generate speech with a single provider
+ */
+async function synthesizeSpeech({
   provider,
   model = "",
   apiKey,
@@ -49,158 +152,185 @@ export async function tts({
   text,
   voice,
   outputFile = "output.mp3",
+  output = "file",
+  format = formatFromExtension(outputFile) || "mp3",
+  sampleRate,
+  bitrate,
+  maxChars,
+  concurrency = 2,
+  retry,
+  cache,
+  validateVoice = true,
 }) {
   if (!provider || !apiKey || !text || !voice) {
-    throw new Error(
+    throw new InvalidRequestError(
       "Missing required parameters: provider, apiKey, text, or voice."
     );
   }
 
-  switch (provider.toLowerCase()) {
-    case "gemini":
-      try {
-        const genAI = new GoogleGenAI({ apiKey });
-
-        console.log(
-          `🔊 Generating audio with Gemini TTS using voice "${voice}"...`
-        );
-
-        const result = await genAI.models.generateContent({
-          model: "gemini-2.5-flash-preview-tts",
-          contents: [{ parts: [{ text: `${prompt}\n\n${text}`.trim() }] }],
-          config: {
-            responseModalities: ["AUDIO"],
-            speechConfig: {
-              voiceConfig: {
-                prebuiltVoiceConfig: { voiceName: voice },
-              },
-            },
-          },
-        });
-
-        const base64 =
-          result.candidates?.[0]?.content?.parts?.[0]?.inlineData?.data;
-        if (!base64) throw new Error("No audio returned from Gemini");
+  if (!["file", "buffer", "stream"].includes(output)) {
+    throw new InvalidRequestError(
+      `Invalid output "${output}". Expected "file", "buffer" or "stream".`
+    );
+  }
 
-        const buffer = Buffer.from(base64, "base64");
-        const tempWav = outputFile;
+  assertFormat(format);
 
-        // Save WAV first
-        await saveWaveFile(tempWav, buffer);
+  const adapter = getTtsProvider(provider);
+  if (validateVoice) assertVoice({ provider, adapter, voice, model });
 
-        console.log(`✅ Gemini audio saved to ${outputFile}`);
-      } catch (err) {
-        console.error("❌ Gemini error:", err.message);
-      }
-      break;
-    case "deepgram":
-      try {
-        const deepgram = createClient(apiKey);
-        console.log(`🔊 Generating audio with Deepgram TTS...`);
-        const response = await deepgram.speak.request(
-          { text },
-          {
-            model: voice,
-          }
-        );
-
-        const stream = await response.getStream();
-        if (stream) {
-          const file = createWriteStream(outputFile);
-          await pipeline(stream, file);
-          console.log(`✅ Deepgram audio saved to ${outputFile}`);
-        } else {
-          throw new Error("No audio stream received from Deepgram");
-        }
-      } catch (err) {
-        console.error("❌ Deepgram TTS error:", err.message);
-      }
-      break;
-    case "openai":
-      try {
-        const openai = new OpenAI({ apiKey });
+  const request = {
+    apiKey,
+    text,
+    voice,
+    model,
+    prompt,
+    format,
+    sampleRate,
+    bitrate,
+  };
 
-        const requestOptions = {
-          model: model,
-          voice: voice,
-          input: text,
-        };
+  // Long text is split at paragraph and sentence boundaries to fit the provider's limit
+  const limit = maxChars || adapter.maxChars;
+  const synthesize = (req) =>
+    withRetry(() => adapter.synthesize(req), { provider, retry });
+  const pieces = limit && text.length > limit ? splitText(text, limit) : [text];
 
-        if (model === "gpt-4o-mini-tts" && prompt) {
-          requestOptions.instructions = prompt;
-        }
+  const store = resolveCache(cache);
+  const key = store && cacheKey({ provider, ...request });
 
-        const response = await openai.audio.speech.create(requestOptions);
+  const startedAt = Date.now();
+  try {
+    const hit = store && (await readCache(store, key));
+    let audio, container, rate;
 
-        const buffer = Buffer.from(await response.arrayBuffer());
-        await fs.writeFile(outputFile, buffer);
+    if (hit) {
+      ({ audio, container, sampleRate: rate } = hit);
+    } else {
+      const synthesized =
+        pieces.length > 1
+          ? await synthesizePieces({ synthesize, pieces, concurrency, request })
+          : await synthesize(request);
+      ({
+        audio,
+        container,
+        sampleRate: rate,
+      } = conformAudio(synthesized, request));
 
-        console.log(`✅ OpenAI audio saved to ${outputFile}`);
-      } catch (err) {
-        console.error("❌ OpenAI TTS error:", err.message);
+      if (store) {
+        // The cache needs the whole clip, so streamed audio is buffered first
+        audio = Buffer.isBuffer(audio) ? audio : await readAll(audio);
+        await writeCache(store, key, { audio, container, sampleRate: rate });
       }
-      break;
+    }
 
-    case "groq":
-      try {
-        const groq = new Groq({ apiKey });
+    const result = {
+      provider,
+      cached: Boolean(hit),
+      format: describeFormat(container, rate),
+    };
 
-        console.log(
-          `🔊 Generating audio with Groq PlayAI TTS using voice "${voice}"...`
-        );
+    if (output === "buffer") {
+      result.audio = Buffer.isBuffer(audio) ? audio : await readAll(audio);
+    } else if (output === "stream") {
+      result.audio = Buffer.isBuffer(audio) ? Readable.from([audio]) : audio;
+    } else {
+      await writeAudio(outputFile, audio);
+      result.outputFile = outputFile;
+    }
 
-        const response = await groq.audio.speech.create({
-          model: model || "playai-tts",
-          voice: voice,
-          response_format: "wav",
-          input: text,
-        });
+    log.info(hit ? "Speech served from cache" : "Speech synthesized", {
+      provider,
+      model,
+      cached: result.cached,
+      file: result.outputFile,
+      durationMs: Date.now() - startedAt,
+    });
+    return result;
+  } catch (err) {
+    const error = normalizeError(err, provider);
+    log.error("Speech synthesis failed", {
+      provider,
+      model,
+      durationMs: Date.now() - startedAt,
+      error: error.message,
+    });
+    throw error;
+  }
+}
 
-        const buffer = Buffer.from(await response.arrayBuffer());
-        await fs.writeFile(outputFile, buffer);
+/**
+ * Generate speech and yield the audio in chunks as it arrives. Providers that
+ * stream natively (Deepgram, OpenAI, Cartesia) yield as soon as the first
+ * bytes are received; the others yield the finished clip in `chunkSize` slices.
+ * Providers that cannot produce `format` natively are transcoded on the fly.
+ * @param {Object} options - Same options as tts(), except outputFile and output
+ * @param {string} options.provider - TTS provider to use (a single name; fallback chains are not supported)
+ * @param {"mp3"|"wav"|"ogg"|"opus"|"flac"|"pcm"} [options.format="mp3"] - Audio format
+ * @param {number} [options.chunkSize=16384] - Chunk size in bytes when slicing a finished clip
+ * @returns {AsyncGenerator<Buffer>} Audio chunks
+ */
+export async function* ttsStream({
+  provider,
+  model = "",
+  apiKey,
+  prompt = "",
+  text,
+  voice,
+  format = "mp3",
+  sampleRate,
+  bitrate,
+  chunkSize = 16 * 1024,
+  retry,
+  validateVoice = true,
+}) {
+  if (!provider || !apiKey || !text || !voice) {
+    throw new InvalidRequestError(
+      "Missing required parameters: provider, apiKey, text, or voice."
+    );
+  }
 
-        console.log(`✅ Groq PlayAI audio saved to ${outputFile}`);
-      } catch (err) {
-        console.error("❌ Groq PlayAI TTS error:", err.message);
-      }
-      break;
-
-    case "cartesia":
-      try {
-        const client = new CartesiaClient({ apiKey });
-
-        console.log(
-          `🔊 Generating audio with Cartesia TTS using voice ID "${voice}"...`
-        );
-
-        // Determine output format based on file extension
-        const fileExt = outputFile.toLowerCase().split(".").pop();
-        const container = fileExt === "wav" ? "wav" : "mp3";
-
-        const audioBytes = await client.tts.bytes({
-          modelId: model || "sonic-2",
-          transcript: text,
-          voice: {
-            mode: "id",
-            id: voice,
-          },
-          language: "en",
-          outputFormat: {
-            container: container,
-            sampleRate: 44100,
-            bitRate: container === "mp3" ? 128000 : undefined,
-          },
-        });
+  if (Array.isArray(provider)) {
+    throw new InvalidRequestError(
+      "ttsStream() takes a single provider; fallback chains are only supported by tts()."
+    );
+  }
+
+  assertFormat(format);
+
+  const adapter = getTtsProvider(provider);
+  if (validateVoice) assertVoice({ provider, adapter, voice, model });
+
+  const request = {
+    apiKey,
+    text,
+    voice,
+    model,
+    prompt,
+    format,
+    sampleRate,
+    bitrate,
+  };
 
-        await fs.writeFile(outputFile, Buffer.from(audioBytes));
+  try {
+    // Only the request is retried; a stream that fails midway cannot be resumed
+    const synthesized = await withRetry(() => adapter.synthesize(request), {
+      provider,
+      retry,
+    });
+    const { audio } = conformAudio(synthesized, request);
 
-        console.log(`✅ Cartesia audio saved to ${outputFile}`);
-      } catch (err) {
-        console.error("❌ Cartesia TTS error:", err.message);
+    if (Buffer.isBuffer(audio)) {
+      for (let offset = 0; offset < audio.length; offset += chunkSize) {
+        yield audio.subarray(offset, offset + chunkSize);
       }
-      break;
+      return;
+    }
 
-    default:
-      throw new Error(`Provider "${provider}" is not supported.`);
+    for await (const chunk of audio) {
+      yield Buffer.from(chunk);
+    }
+  } catch (err) {
+    throw normalizeError(err, provider);
   }
 }
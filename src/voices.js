@@ -0,0 +1,139 @@
+import { getTtsProvider, listTtsProviders } from "./registry.js";
+import { InvalidVoiceError, normalizeError } from "./errors.js";
+import { withRetry } from "./retry.js";
+import { log } from "./logger.js";
+import "./providers/tts.js";
+
+function normalizeVoice(voice, provider) {
+  return {
+    id: voice.id,
+    name: voice.name ?? voice.id,
+    language: voice.language,
+    gender: voice.gender,
+    provider,
+    models: voice.models,
+  };
+}
+
+/**
+ * List the voices of one or every registered TTS provider. With an apiKey the
+ * live list is fetched from providers that offer one (Deepgram, Cartesia);
+ * otherwise, or when the provider is unreachable, the bundled catalog is used.
+ * @param {Object} [options] - Listing options
+ * @param {string} [options.provider] - TTS provider (defaults to every registered provider)
+ * @param {string} [options.apiKey] - API key used to fetch the provider's live list
+ * @param {Object|number|boolean} [options.retry] - Retry policy override for the live request (see setRetryPolicy)
+ * @returns {Promise<Array<{id: string, name: string, language?: string, gender?: string, provider: string, models?: string[]}>>}
+ *   Promise that resolves with the normalized voices
+ */
+export async function listVoices({ provider, apiKey, retry } = {}) {
+  if (!provider) {
+    return listTtsProviders().flatMap((name) =>
+      (getTtsProvider(name).voices || []).map((voice) =>
+        normalizeVoice(voice, name)
+      )
+    );
+  }
+
+  const adapter = getTtsProvider(provider);
+
+  if (apiKey && adapter.listVoices) {
+    try {
+      const voices = await withRetry(() => adapter.listVoices({ apiKey }), {
+        provider,
+        retry,
+      });
+      return voices.map((voice) => normalizeVoice(voice, provider));
+    } catch (err) {
+      const error = normalizeError(err, provider);
+      // Bad keys and requests are the caller's to fix; outages fall back to the catalog
+      if (!error.retryable) throw error;
+
+      log.warn("Live voice list unavailable, using the bundled catalog", {
+        provider,
+        error: error.message,
+      });
+    }
+  }
+
+  return (adapter.voices || []).map((voice) => normalizeVoice(voice, provider));
+}
+
+/**
+ * Edit distance between two strings
+ */
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Find the catalog voice closest to a misspelled or partial one
+ */
+function suggestVoice(voice, voices) {
+  const wanted = voice.toLowerCase();
+  let best;
+
+  for (const candidate of voices) {
+    const id = candidate.id.toLowerCase();
+    const name = (candidate.name || "").toLowerCase();
+    const distance = id.includes(wanted)
+      ? 0
+      : Math.min(levenshtein(wanted, id), levenshtein(wanted, name));
+
+    if (!best || distance < best.distance) {
+      best = { id: candidate.id, distance };
+    }
+  }
+
+  return best && best.distance <= Math.max(2, Math.floor(wanted.length / 3))
+    ? best.id
+    : undefined;
+}
+
+/**
+ * Check `voice` (and `model`, when given) against the provider's bundled
+ * catalog before any request is sent. Providers without a catalog accept any voice.
+ * @throws {InvalidVoiceError} When the voice is unknown or does not support the model
+ */
+export function assertVoice({ provider, adapter, voice, model }) {
+  const voices = adapter.voices;
+  if (!voices?.length) return;
+
+  const match = voices.find(
+    (candidate) => candidate.id.toLowerCase() === voice.toLowerCase()
+  );
+
+  if (match) {
+    if (model && match.models && !match.models.includes(model)) {
+      throw new InvalidVoiceError(
+        `${provider} voice "${voice}" is not available for model "${model}" (supported: ${match.models.join(
+          ", "
+        )}).`,
+        { provider }
+      );
+    }
+    return;
+  }
+
+  if (adapter.voicePattern?.test(voice)) return;
+
+  const suggestion = suggestVoice(voice, voices);
+  throw new InvalidVoiceError(
+    `Unknown ${provider} voice "${voice}".${
+      suggestion ? ` Did you mean "${suggestion}"?` : ""
+    } Call listVoices({ provider: "${provider}" }) to see the available voices.`,
+    { provider }
+  );
+}